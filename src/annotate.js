@@ -0,0 +1,133 @@
+import fs from "fs";
+import crypto from "crypto";
+import { readJson, writeJson } from "./utils.js";
+import { runPool, withRetry } from "./concurrency.js";
+import { getCost, createUsageTracker } from "./costs.js";
+
+// Per-award annotations (classifications, fit scores) live in sidecar files
+// next to the award index, keyed by award ID. Each entry keeps a hash of
+// the title and abstract it was made from, so an award whose text changes
+// is due again.
+
+const sidecars = new Map();
+
+/**
+ * Load a sidecar file (once per process per path)
+ */
+export function loadSidecar(filepath) {
+  if (!sidecars.has(filepath)) {
+    sidecars.set(
+      filepath,
+      fs.existsSync(filepath) ? readJson(filepath) || {} : {}
+    );
+  }
+  return sidecars.get(filepath);
+}
+
+/**
+ * Short sha256 of some text
+ */
+export function hashText(text) {
+  return crypto.createHash("sha256").update(text).digest("hex").slice(0, 12);
+}
+
+/**
+ * Hash of the award text an annotation is based on
+ */
+export function getInputHash(award) {
+  return hashText(`${award.title || ""}\n${award.abstractText || ""}`);
+}
+
+/**
+ * Run annotate(award) over the awards that need it and save the results to
+ * the sidecar at `path`, also setting each award's `_${field}`.
+ *
+ * - isCurrent(award) says whether an award's stored entry still holds;
+ *   those are skipped unless force is set.
+ * - annotate returns { [field], usage }; it is retried when provider is
+ *   set, and usage is costed against provider.model.
+ * - Each entry is saved with `extra`, the model, the input hash and a
+ *   `${status}_at` timestamp. With a provider, the sidecar is saved as
+ *   entries come in, so an interrupted run keeps what it paid for.
+ *
+ * onProgress is called as each award finishes with { completed, total,
+ * awardId, status (`status` / "error"), [field], error }.
+ * Returns { [status], cached, errors[{ awardId, error }], usage }, with
+ * usage as LLM token and cost totals.
+ */
+export async function annotateAwards(awards, options) {
+  const {
+    path,
+    field,
+    status,
+    isCurrent,
+    annotate,
+    provider = null,
+    extra = {},
+    force = false,
+    concurrency = 1,
+    retries = 4,
+    onProgress,
+    signal,
+  } = options;
+
+  const all = loadSidecar(path);
+  const todo = force ? awards : awards.filter((a) => !isCurrent(a));
+  const results = {
+    [status]: 0,
+    cached: awards.length - todo.length,
+    errors: [],
+    usage: null,
+  };
+  const tracker = createUsageTracker();
+  let completed = 0;
+
+  await runPool(
+    todo,
+    async (award) => {
+      const awardId = award.awardNumber || award._id;
+      try {
+        const result = provider
+          ? await withRetry(() => annotate(award), { retries, signal })
+          : await annotate(award);
+        if (result.usage) {
+          tracker.add(result.usage, getCost(result.usage, provider?.model));
+        }
+
+        all[awardId] = {
+          ...result[field],
+          ...extra,
+          model: provider?.model || null,
+          input_hash: getInputHash(award),
+          [`${status}_at`]: new Date().toISOString(),
+        };
+        award[`_${field}`] = all[awardId];
+        if (provider) writeJson(path, all);
+        results[status]++;
+        completed++;
+        onProgress?.({
+          completed,
+          total: todo.length,
+          awardId,
+          status,
+          [field]: all[awardId],
+        });
+      } catch (err) {
+        completed++;
+        results.errors.push({ awardId, error: err.message });
+        onProgress?.({
+          completed,
+          total: todo.length,
+          awardId,
+          status: "error",
+          error: err.message,
+        });
+      }
+    },
+    { concurrency, signal }
+  );
+
+  if (!provider && results[status] > 0) writeJson(path, all);
+  results.usage = tracker.totals;
+  return results;
+}
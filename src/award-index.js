@@ -0,0 +1,301 @@
+import fs from "fs";
+import path from "path";
+import { DIRS, readJson } from "./utils.js";
+
+// JSON-lines cache of the award fields the pipeline actually uses.
+// Lives next to the data it indexes; bump INDEX_VERSION when the entry shape changes.
+export const INDEX_PATH = path.join(DIRS.awards, ".index.jsonl");
+const INDEX_VERSION = 1;
+
+// Entry fields about the index itself (for spotting stale entries), not the award
+export const INDEX_FIELDS = ["_mtime", "_size", "_invalid"];
+
+// Years already synced against disk in this process
+const syncedYears = new Set();
+let entries = null;
+
+/**
+ * Build a compact index entry from a raw award file.
+ * Keeps NSF field names so indexed awards work anywhere a full award does.
+ */
+function buildEntry(award, id, year, stat) {
+  const entry = {
+    _id: id,
+    _year: String(year),
+    _mtime: stat.mtimeMs,
+    _size: stat.size,
+  };
+
+  if (!award) {
+    entry._invalid = true;
+    return entry;
+  }
+
+  return {
+    ...entry,
+    awd_id: award.awd_id || award.awardNumber || id,
+    awd_titl_txt: award.awd_titl_txt || award.title || "",
+    awd_abstract_narration:
+      award.awd_abstract_narration || award.abstractText || "",
+    awd_amount: award.awd_amount ?? null,
+    tot_intn_awd_amt: award.tot_intn_awd_amt ?? null,
+    awd_eff_date: award.awd_eff_date || null,
+    awd_exp_date: award.awd_exp_date || null,
+    awd_min_amd_letter_date: award.awd_min_amd_letter_date || null,
+    dir_abbr: award.dir_abbr || "",
+    div_abbr: award.div_abbr || "",
+    pgm_ele: (award.pgm_ele || []).map(({ pgm_ele_code, pgm_ele_name }) => ({
+      pgm_ele_code,
+      pgm_ele_name,
+    })),
+    pgm_ref: (award.pgm_ref || []).map(({ pgm_ref_code, pgm_ref_txt }) => ({
+      pgm_ref_code,
+      pgm_ref_txt,
+    })),
+    pi: (award.pi || []).map((p) => ({
+      pi_role: p.pi_role,
+      pi_first_name: p.pi_first_name,
+      pi_last_name: p.pi_last_name,
+      pi_mid_init: p.pi_mid_init,
+      pi_sufx_name: p.pi_sufx_name,
+      pi_full_name: p.pi_full_name,
+      pi_email_addr: p.pi_email_addr,
+      nsf_id: p.nsf_id,
+    })),
+    inst: award.inst
+      ? {
+          inst_name: award.inst.inst_name,
+          inst_state_code: award.inst.inst_state_code,
+        }
+      : undefined,
+    piFirstName: award.piFirstName,
+    piLastName: award.piLastName,
+    piEmail: award.piEmail,
+    awardeeName: award.awardeeName,
+  };
+}
+
+/**
+ * Keep an old entry's embedding (see embeddings.js) on its rebuilt entry.
+ * Embeddings only depend on the title and abstract, so other edits to the
+ * award file don't throw them away.
+ */
+function carryEmbedding(entry, old) {
+  if (
+    old?._embedding &&
+    !entry._invalid &&
+    old.awd_titl_txt === entry.awd_titl_txt &&
+    old.awd_abstract_narration === entry.awd_abstract_narration
+  ) {
+    entry._embedding = old._embedding;
+    entry._embedding_model = old._embedding_model;
+  }
+  return entry;
+}
+
+/**
+ * Load the index file into memory (once per process)
+ */
+function loadEntries() {
+  if (entries) return entries;
+  entries = new Map();
+
+  if (!fs.existsSync(INDEX_PATH)) return entries;
+
+  const lines = fs.readFileSync(INDEX_PATH, "utf-8").split("\n");
+  let header = {};
+  try {
+    header = lines[0] ? JSON.parse(lines[0]) : {};
+  } catch {
+    // A corrupt header is treated like an old version: full rebuild
+  }
+  if (header?._index_version !== INDEX_VERSION) return entries;
+
+  for (const line of lines.slice(1)) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      entries.set(`${entry._year}/${entry._id}`, entry);
+    } catch {
+      // A torn line just means that award gets re-read from disk
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Write the in-memory index back to disk
+ */
+function saveEntries() {
+  fs.mkdirSync(path.dirname(INDEX_PATH), { recursive: true });
+  const lines = [JSON.stringify({ _index_version: INDEX_VERSION })];
+  for (const entry of entries.values()) {
+    lines.push(JSON.stringify(entry));
+  }
+  const tmpPath = `${INDEX_PATH}.tmp`;
+  fs.writeFileSync(tmpPath, lines.join("\n") + "\n");
+  fs.renameSync(tmpPath, INDEX_PATH);
+}
+
+/**
+ * Bring the index up to date for one year folder.
+ * Only files whose mtime or size changed are re-parsed. previous holds the
+ * entries to carry embeddings over from (the index itself unless it was
+ * just cleared).
+ */
+function syncYear(year, force = false, previous = loadEntries()) {
+  const index = loadEntries();
+  const yearDir = path.join(DIRS.awards, String(year));
+  const stats = { added: 0, updated: 0, removed: 0 };
+
+  const files = fs.existsSync(yearDir)
+    ? fs.readdirSync(yearDir).filter((f) => f.endsWith(".json"))
+    : [];
+  const seen = new Set();
+
+  for (const file of files) {
+    const id = path.basename(file, ".json");
+    const key = `${year}/${id}`;
+    const filepath = path.join(yearDir, file);
+    const stat = fs.statSync(filepath);
+    seen.add(key);
+
+    const existing = index.get(key);
+    if (
+      !force &&
+      existing &&
+      existing._mtime === stat.mtimeMs &&
+      existing._size === stat.size
+    ) {
+      continue;
+    }
+
+    index.set(
+      key,
+      carryEmbedding(
+        buildEntry(readJson(filepath), id, year, stat),
+        previous.get(key)
+      )
+    );
+    stats[existing ? "updated" : "added"]++;
+  }
+
+  for (const key of index.keys()) {
+    if (key.startsWith(`${year}/`) && !seen.has(key)) {
+      index.delete(key);
+      stats.removed++;
+    }
+  }
+
+  syncedYears.add(String(year));
+  return stats;
+}
+
+/**
+ * Sync the index for the given years (all years on disk by default).
+ * Pass force to re-parse every file.
+ */
+export function updateIndex({ years, force = false } = {}) {
+  const index = loadEntries();
+  const targetYears = years || listYearFolders();
+
+  const previous = force && !years ? new Map(index) : index;
+  if (force && !years) {
+    index.clear();
+  }
+
+  const totals = { added: 0, updated: 0, removed: 0 };
+  for (const year of targetYears) {
+    const stats = syncYear(String(year), force, previous);
+    totals.added += stats.added;
+    totals.updated += stats.updated;
+    totals.removed += stats.removed;
+  }
+
+  // Drop years whose folders no longer exist
+  if (!years) {
+    const yearSet = new Set(targetYears.map(String));
+    for (const [key, entry] of index) {
+      if (!yearSet.has(entry._year)) {
+        index.delete(key);
+        totals.removed++;
+      }
+    }
+  }
+
+  if (force || totals.added || totals.updated || totals.removed) {
+    saveEntries();
+  }
+
+  return { ...totals, total: index.size };
+}
+
+/**
+ * Throw away the index and rebuild it from every award file
+ */
+export function rebuildIndex() {
+  syncedYears.clear();
+  return updateIndex({ force: true });
+}
+
+/**
+ * Get indexed awards for a year, syncing the year against disk the first time
+ * it's requested in this process. Unparseable files are left out, and so
+ * are embeddings (see getIndexedEmbedding).
+ */
+export function getIndexedAwards(year) {
+  if (!syncedYears.has(String(year))) {
+    updateIndex({ years: [String(year)] });
+  }
+
+  const awards = [];
+  for (const entry of loadEntries().values()) {
+    if (entry._year === String(year) && !entry._invalid) {
+      const { _embedding, _embedding_model, ...award } = entry;
+      awards.push(award);
+    }
+  }
+  return awards;
+}
+
+/**
+ * Stored embedding for an indexed award as { model, vector } (vector is
+ * base64 Float32 data, see embeddings.js), or null if it has none
+ */
+export function getIndexedEmbedding(year, id) {
+  const entry = loadEntries().get(`${year}/${id}`);
+  if (!entry?._embedding) return null;
+  return { model: entry._embedding_model, vector: entry._embedding };
+}
+
+/**
+ * Store embeddings on indexed awards and save the index.
+ * updates is [{ year, id, model, vector }]; awards no longer indexed are
+ * ignored.
+ */
+export function setIndexedEmbeddings(updates) {
+  const index = loadEntries();
+  for (const { year, id, model, vector } of updates) {
+    const entry = index.get(`${year}/${id}`);
+    if (!entry) continue;
+    entry._embedding = vector;
+    entry._embedding_model = model;
+  }
+  saveEntries();
+}
+
+/**
+ * Year folders present under awards/
+ */
+function listYearFolders() {
+  if (!fs.existsSync(DIRS.awards)) return [];
+  return fs
+    .readdirSync(DIRS.awards)
+    .filter(
+      (f) =>
+        /^\d{4}$/.test(f) &&
+        fs.statSync(path.join(DIRS.awards, f)).isDirectory()
+    )
+    .sort();
+}
@@ -1,7 +1,20 @@
 import fs from "fs";
 import path from "path";
 import { glob } from "glob";
-import { DIRS, listIds, readJson, matchesKeywords } from "./utils.js";
+import { DIRS, listIds, readJson } from "./utils.js";
+import { getIndexedAwards } from "./award-index.js";
+import { matchesFilters } from "./filters.js";
+import { searchAwards } from "./query.js";
+import { findCollaborativeGroups, applyGroupPolicy } from "./collab.js";
+import { checkEmail } from "./email-check.js";
+import { getClassification, countByCategory } from "./classify.js";
+import { getFitScore } from "./score.js";
+import {
+  parseName,
+  cleanInstitutionName,
+  getNameOverride,
+  applyNameOverride,
+} from "./names.js";
 
 /**
  * Get all available years in the awards folder
@@ -41,87 +54,238 @@ export function loadAward(awardId, year) {
 }
 
 /**
- * Load all awards for a year, optionally filtered by keywords
+ * Find an award by ID in staging or the year folders (newest first), with
+ * field names normalized like loadAwards (plus _year when it came from a
+ * year folder). Returns null if it isn't on disk.
  */
-export function loadAwards(year, keywords = []) {
-  const ids = listAwardIds(year);
-  const awards = [];
+export function findAward(awardId) {
+  const candidates = [
+    { filepath: path.join(DIRS.staging, `${awardId}.json`) },
+    ...getAvailableYears()
+      .reverse()
+      .map((year) => ({
+        year,
+        filepath: path.join(DIRS.awards, year, `${awardId}.json`),
+      })),
+  ];
+  const found = candidates.find((c) => fs.existsSync(c.filepath));
+  const award = found ? readJson(found.filepath) : null;
+  if (!award) return null;
+  if (found.year) award._year = found.year;
 
-  for (const id of ids) {
-    const award = loadAward(id, year);
-    if (!award) continue;
+  award.title = award.awd_titl_txt || award.title || "";
+  award.abstractText = award.awd_abstract_narration || award.abstractText || "";
+  award.awardNumber = award.awd_id || award.awardNumber || awardId;
+  award._id = awardId;
+  award._classification = getClassification(award);
+  award._fit = getFitScore(award);
+  return award;
+}
 
+/**
+ * Load all awards for a year, optionally filtered by a parsed keyword query
+ * (see query.js) and structured filters. With a query, results are sorted
+ * by relevance and carry _score and _matchedTerms. Awards that are part of
+ * a collaborative project carry _group (see collab.js), classified ones
+ * carry _classification (see classify.js), and scored ones _fit (see
+ * score.js).
+ * Reads from the award index; use loadAward for the full NSF record
+ */
+export function loadAwards(year, query = null, filters = null) {
+  const awards = getIndexedAwards(year).map((award) => {
     // Normalize field names for easier access
     award.title = award.awd_titl_txt || award.title || "";
     award.abstractText =
       award.awd_abstract_narration || award.abstractText || "";
-    award.awardNumber = award.awd_id || award.awardNumber || id;
+    award.awardNumber = award.awd_id || award.awardNumber || award._id;
+    award._classification = getClassification(award);
+    award._fit = getFitScore(award);
+    return award;
+  });
 
-    // Check keyword match in title and abstract
-    const searchText = `${award.title} ${award.abstractText}`;
-    if (matchesKeywords(searchText, keywords)) {
-      awards.push({ ...award, _id: id, _year: year });
-    }
-  }
+  // Group siblings across the whole year, before anything is filtered out
+  findCollaborativeGroups(awards);
 
-  return awards;
+  // Rank against the whole year so relevance scores are comparable
+  return searchAwards(awards, query).filter((award) =>
+    matchesFilters(award, filters)
+  );
 }
 
 /**
- * Get awards that haven't been processed yet
+ * Get the file IDs (award ID, or award ID + person) of every draft,
+ * approval, send, or skip
  */
-export function getUnprocessedAwards(year, keywords = []) {
-  const awards = loadAwards(year, keywords);
-
-  // Collect all processed IDs from all status folders
-  const processed = new Set([
+export function getProcessedIds() {
+  return new Set([
     ...listIds("drafts"),
     ...listIds("approved"),
     ...listIds("sent"),
     ...listIds("skipped"),
   ]);
+}
 
-  return awards.filter((award) => {
-    const id = award.awardNumber || award._id;
-    return !processed.has(id);
-  });
+/**
+ * Get the award IDs that have anyone in the pipeline
+ */
+export function getProcessedAwardIds() {
+  return new Set([...getProcessedIds()].map((id) => id.split("-")[0]));
 }
 
 /**
- * Extract PI info from award data
- * NSF JSON structure uses nested pi array and inst object
+ * Drop targets that already have a draft, approval, send, or skip
+ */
+export function filterUnprocessed(awards) {
+  const processed = getProcessedIds();
+
+  return awards.filter((award) => !processed.has(getTargetId(award)));
+}
+
+/**
+ * Get awards (or per-person targets, see expandTargets) that haven't been
+ * processed yet
+ */
+export function getUnprocessedAwards(
+  year,
+  query = null,
+  filters = null,
+  role = "pi"
+) {
+  return filterUnprocessed(
+    expandTargets(loadAwards(year, query, filters), role)
+  );
+}
+
+// Which award personnel to target
+export const TARGET_ROLES = {
+  pi: "Principal Investigator only",
+  "co-pi": "Current Co-Principal Investigators only",
+  all: "The PI and current co-PIs",
+};
+
+/**
+ * Check if a pi[] entry is the Principal Investigator
+ */
+function isPrincipal(person) {
+  return person.pi_role === "Principal Investigator";
+}
+
+/**
+ * Check if a pi[] entry is a current co-PI. NSF keeps people who left the
+ * award as "Former Co-Principal Investigator" / "Former Principal
+ * Investigator"; they aren't emailed.
+ */
+function isCurrentCoPI(person) {
+  return person.pi_role === "Co-Principal Investigator";
+}
+
+/**
+ * Expand awards into one outreach target per person for the given role.
+ * "pi" returns the awards unchanged. Other targets are shallow copies with
+ * _person (their pi[] entry) and _targetId (award ID + person), which
+ * extractPIInfo and the draft file name use.
+ */
+export function expandTargets(awards, role = "pi") {
+  if (!TARGET_ROLES[role]) {
+    throw new Error(
+      `Unknown role "${role}" (use ${Object.keys(TARGET_ROLES).join(", ")})`
+    );
+  }
+  if (role === "pi") return awards;
+
+  const targets = [];
+  for (const award of awards) {
+    if (role === "all") targets.push(award);
+
+    const principal = award.pi?.find(isPrincipal) || award.pi?.[0] || null;
+    for (const person of award.pi || []) {
+      if (person === principal || !isCurrentCoPI(person)) continue;
+      const awardId = award.awardNumber || award._id;
+      const personKey =
+        person.nsf_id ||
+        (person.pi_email_addr || person.pi_full_name || "")
+          .toLowerCase()
+          .replace(/[^a-z0-9]+/g, "_");
+      targets.push({
+        ...award,
+        _person: person,
+        _targetId: `${awardId}-${personKey}`,
+      });
+    }
+  }
+  return targets;
+}
+
+/**
+ * Draft file ID for an award or per-person target
+ */
+export function getTargetId(award) {
+  return award._targetId || award.awardNumber || award._id;
+}
+
+/**
+ * Extract PI info from award data (or the targeted person, for per-person
+ * targets). NSF JSON structure uses nested pi array and inst object.
+ * Names are parsed (see names.js) with any reviewer override applied;
+ * piNameParts is what getSalutation takes.
  */
 export function extractPIInfo(award) {
+  const person = award._person;
+
   // Get the principal investigator from the pi array
-  const piData =
-    award.pi?.find((p) => p.pi_role === "Principal Investigator") ||
-    award.pi?.[0] ||
-    {};
-
-  const piFirstName = piData.pi_first_name || award.piFirstName || "";
-  const piLastName = piData.pi_last_name || award.piLastName || "";
-  const piEmail = piData.pi_email_addr || award.piEmail || null;
+  const piData = person || award.pi?.find(isPrincipal) || award.pi?.[0] || {};
+
+  // Award-level fields (API-style records) only describe the PI
+  const fallback = person ? {} : award;
+
+  const piEmail = piData.pi_email_addr || fallback.piEmail || null;
+  const piNsfId = piData.nsf_id || null;
   const institution = award.inst?.inst_name || award.awardeeName || "";
 
+  const parsed = parseName({
+    first: piData.pi_first_name || fallback.piFirstName,
+    middle: piData.pi_mid_init,
+    last: piData.pi_last_name || fallback.piLastName,
+    suffix: piData.pi_sufx_name,
+    full: piData.pi_full_name,
+  });
+
+  const override = getNameOverride({ email: piEmail, nsfId: piNsfId });
+  const name = applyNameOverride(parsed, override);
+
   return {
-    piFirstName,
-    piLastName,
-    piName: piData.pi_full_name || `${piFirstName} ${piLastName}`.trim(),
+    piFirstName: name.first,
+    piLastName: name.last,
+    piName: name.full,
+    piNameParts: name,
     piEmail,
-    institution,
+    piNsfId,
+    piRole: piData.pi_role || "Principal Investigator",
+    salutationOverride: override?.salutation || null,
+    institution: cleanInstitutionName(institution),
   };
 }
 
 /**
- * Check if an award has valid contact info
+ * Run the recipient email checks (see email-check.js) for an award's PI
  */
-export function hasValidContact(award) {
+export function getContactCheck(award) {
   const { piEmail } = extractPIInfo(award);
-  return piEmail && piEmail.includes("@");
+  return checkEmail(piEmail, {
+    institution: award.inst?.inst_name || award.awardeeName,
+  });
 }
 
 /**
- * Load all awards from staging folder
+ * Check if an award has a usable PI email (no error-level issues)
+ */
+export function hasValidContact(award) {
+  return getContactCheck(award).valid;
+}
+
+/**
+ * Load all awards from staging folder, with _group set from the year each
+ * was staged from
  */
 export function loadStagingAwards() {
   const stagingDir = DIRS.staging;
@@ -141,24 +305,65 @@ export function loadStagingAwards() {
       award.awd_abstract_narration || award.abstractText || "";
     award.awardNumber = award.awd_id || award.awardNumber || id;
     award._id = id;
+    award._classification = getClassification(award);
+    award._fit = getFitScore(award);
 
     awards.push(award);
   }
 
+  // Staged copies can be stale or predate grouping, so group them afresh
+  // against the year each came from (see findCollaborativeGroups)
+  const years = new Set(awards.map((a) => a._staged_from_year).filter(Boolean));
+  const groups = new Map();
+  for (const year of years) {
+    for (const award of loadAwards(year)) {
+      if (award._group)
+        groups.set(`${year}/${award.awardNumber}`, award._group);
+    }
+  }
+  awards.forEach((award) => {
+    if (award._staged_from_year) {
+      award._group =
+        groups.get(`${award._staged_from_year}/${award.awardNumber}`) || null;
+    }
+  });
+
   return awards;
 }
 
 /**
  * Get scan statistics for awards
  */
-export function getScanStats(year, keywords = []) {
-  const allAwards = loadAwards(year, keywords);
-  const unprocessed = getUnprocessedAwards(year, keywords);
+export function getScanStats(
+  year,
+  query = null,
+  filters = null,
+  groupPolicy = "all"
+) {
+  const allAwards = loadAwards(year, query, filters);
+  const unprocessed = filterUnprocessed(allAwards);
 
   const withEmail = allAwards.filter(hasValidContact);
   const withoutEmail = allAwards.filter((a) => !hasValidContact(a));
 
+  // Count each email issue type across the year
+  const emailIssues = {};
+  for (const award of allAwards) {
+    for (const { code } of getContactCheck(award).issues) {
+      emailIssues[code] = (emailIssues[code] || 0) + 1;
+    }
+  }
+
   const unprocessedWithEmail = unprocessed.filter(hasValidContact);
+  const ready = applyGroupPolicy(
+    unprocessedWithEmail,
+    groupPolicy,
+    getProcessedAwardIds()
+  );
+
+  const groupIds = new Set(
+    allAwards.filter((a) => a._group).map((a) => a._group.id)
+  );
 
   return {
     total: allAwards.length,
@@ -166,6 +371,11 @@ export function getScanStats(year, keywords = []) {
     withoutEmail: withoutEmail.length,
     unprocessed: unprocessed.length,
     unprocessedWithEmail: unprocessedWithEmail.length,
-    readyToGenerate: unprocessedWithEmail.length,
+    readyToGenerate: ready.length,
+    collaborativeGroups: groupIds.size,
+    collaborativeAwards: allAwards.filter((a) => a._group).length,
+    emailIssues,
+    categories: countByCategory(allAwards),
+    readyCategories: countByCategory(ready),
   };
 }
@@ -0,0 +1,273 @@
+import { getVariantStats, DEFAULT_REPLY_WINDOW_DAYS } from "./outcomes.js";
+import { shuffleArray } from "./random.js";
+
+// How variants are picked for each draft
+export const SELECTION_MODES = {
+  random: "Random, in proportion to weight; for clean A/B tests",
+  thompson: "Thompson sampling on reply outcomes",
+  epsilon: "Best reply rate so far, exploring at random a share of the time",
+  stratified: "Every variant combination gets an equal share of the batch",
+};
+const DEFAULT_MODE = "random";
+const DEFAULT_EPSILON = 0.1;
+
+// Pseudo-emails of prior belief per variant. The prior is centered on the
+// dimension's pooled reply rate, so an untried variant starts out looking
+// average rather than like a coin flip.
+const PRIOR_STRENGTH = 2;
+
+// Draws used to estimate Thompson sampling's selection probabilities
+const PROBABILITY_DRAWS = 4000;
+
+/**
+ * Standard normal sample (Box-Muller)
+ */
+function sampleNormal(random) {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Gamma(shape, 1) sample (Marsaglia-Tsang)
+ */
+function sampleGamma(shape, random) {
+  if (shape < 1) {
+    return sampleGamma(shape + 1, random) * random() ** (1 / shape);
+  }
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x;
+    let v;
+    do {
+      x = sampleNormal(random);
+      v = 1 + c * x;
+    } while (v <= 0);
+    v = v ** 3;
+    const u = random();
+    if (u < 1 - 0.0331 * x ** 4) return d * v;
+    if (Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v;
+  }
+}
+
+/**
+ * Beta(a, b) sample
+ */
+function sampleBeta(a, b, random) {
+  const x = sampleGamma(a, random);
+  return x / (x + sampleGamma(b, random));
+}
+
+/**
+ * Variant weight from variants.json ("weight", default 1; 0 never picks it)
+ */
+function getWeight(item) {
+  const weight = item.weight ?? 1;
+  if (typeof weight !== "number" || !(weight >= 0)) {
+    throw new Error(`Invalid weight for variant ${item.id}: ${item.weight}`);
+  }
+  return weight;
+}
+
+/**
+ * Pick an index in proportion to weights
+ */
+function weightedIndex(weights, random) {
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  let r = random() * total;
+  for (let i = 0; i < weights.length; i++) {
+    r -= weights[i];
+    if (r < 0) return i;
+  }
+  return weights.length - 1;
+}
+
+/**
+ * Index of the highest score, breaking ties at random
+ */
+function argmax(scores, random) {
+  const best = Math.max(...scores);
+  const ties = scores
+    .map((score, i) => (score === best ? i : -1))
+    .filter((i) => i >= 0);
+  return ties[Math.floor(random() * ties.length)];
+}
+
+/**
+ * Every combination of one item per dimension, as [{ <dimension>: item }]
+ */
+function getCombinations(dimensions) {
+  return dimensions.reduce(
+    (combos, { dimension, items }) =>
+      combos.flatMap((combo) =>
+        items.map((item) => ({ ...combo, [dimension]: item }))
+      ),
+    [{}]
+  );
+}
+
+/**
+ * Create a variant selector for a batch.
+ *
+ * arms maps each dimension (template, ouro_description, call_to_action) to
+ * its enabled variants. Each dimension is its own bandit: a variant's reply
+ * rate has a Beta posterior built from sent/ outcomes (see outcomes.js) on
+ * top of a weak prior at the dimension's pooled rate, and its weight scales
+ * its chances in every mode.
+ *
+ * Stratified mode instead deals out combinations of variants with weight
+ * above 0: slot n of the batch gets the n-th combination of a shuffled
+ * deck, reshuffled each time it runs out, so every combination gets an
+ * equal share give or take one.
+ *
+ * Returns { mode, select({ random, slot }), probabilities() }: select()
+ * picks one variant per dimension, drawing from random (default: the
+ * selector's) and, in stratified mode, dealing the combination for slot
+ * (default: the next one); probabilities() gives each variant's chance of
+ * being picked with its stats, for display.
+ */
+export function createVariantSelector(arms, options = {}) {
+  const {
+    mode = DEFAULT_MODE,
+    epsilon = DEFAULT_EPSILON,
+    replyWindowDays = DEFAULT_REPLY_WINDOW_DAYS,
+    random = Math.random,
+  } = options;
+  if (!SELECTION_MODES[mode]) {
+    throw new Error(
+      `Unknown selection mode "${mode}" (use ${Object.keys(
+        SELECTION_MODES
+      ).join(", ")})`
+    );
+  }
+  if (!(epsilon >= 0 && epsilon <= 1)) {
+    throw new Error(`Invalid epsilon: ${epsilon} (use 0 to 1)`);
+  }
+
+  // Random and stratified modes ignore outcomes entirely
+  const stats =
+    mode === "random" || mode === "stratified"
+      ? null
+      : getVariantStats({ replyWindowDays });
+
+  const dimensions = Object.entries(arms).map(([dimension, items]) => {
+    const weights = items.map(getWeight);
+    if (!weights.some((w) => w > 0)) {
+      throw new Error(`No ${dimension} variants with weight above 0`);
+    }
+    const itemStats = items.map((item) => stats?.[dimension]?.[item.id]);
+    const pooled = Object.values(stats?.[dimension] || {}).reduce(
+      (sum, s) => ({
+        reward: sum.reward + s.reward,
+        counted: sum.counted + s.counted,
+      }),
+      { reward: 0, counted: 0 }
+    );
+    const priorMean = (pooled.reward + 1) / (pooled.counted + 2);
+    const posteriors = itemStats.map((s) => ({
+      a: PRIOR_STRENGTH * priorMean + (s?.reward || 0),
+      b:
+        PRIOR_STRENGTH * (1 - priorMean) + (s?.counted || 0) - (s?.reward || 0),
+    }));
+    return { dimension, items, weights, itemStats, posteriors };
+  });
+
+  // Stratified decks, dealt in order from the selector's random
+  const combinations =
+    mode === "stratified"
+      ? getCombinations(
+          dimensions.map(({ dimension, items, weights }) => ({
+            dimension,
+            items: items.filter((_, i) => weights[i] > 0),
+          }))
+        )
+      : [];
+  const decks = [];
+  let nextSlot = 0;
+  const deal = (slot) => {
+    const deck = Math.floor(slot / combinations.length);
+    while (decks.length <= deck) {
+      decks.push(shuffleArray(combinations, random));
+    }
+    return decks[deck][slot % combinations.length];
+  };
+
+  const pickIndex = ({ weights, posteriors }, rng = random) => {
+    if (mode === "thompson") {
+      return argmax(
+        posteriors.map(({ a, b }, i) => sampleBeta(a, b, rng) * weights[i]),
+        rng
+      );
+    }
+    if (mode === "epsilon" && rng() >= epsilon) {
+      return argmax(
+        posteriors.map(({ a, b }, i) => (a / (a + b)) * weights[i]),
+        rng
+      );
+    }
+    return weightedIndex(weights, rng);
+  };
+
+  const getProbabilities = (arm) => {
+    const { weights, posteriors } = arm;
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    const proportional = weights.map((w) => w / total);
+    if (mode === "random") return proportional;
+
+    if (mode === "stratified") {
+      const dealt = weights.filter((w) => w > 0).length;
+      return weights.map((w) => (w > 0 ? 1 / dealt : 0));
+    }
+
+    if (mode === "epsilon") {
+      const means = posteriors.map(({ a, b }, i) => (a / (a + b)) * weights[i]);
+      const best = Math.max(...means);
+      const ties = means.filter((m) => m === best).length;
+      return means.map(
+        (m, i) =>
+          epsilon * proportional[i] + (m === best ? (1 - epsilon) / ties : 0)
+      );
+    }
+
+    // Thompson sampling has no closed form; count wins over many draws
+    const wins = weights.map(() => 0);
+    for (let n = 0; n < PROBABILITY_DRAWS; n++) {
+      wins[pickIndex(arm)]++;
+    }
+    return wins.map((w) => w / PROBABILITY_DRAWS);
+  };
+
+  return {
+    mode,
+    select({ random: rng = random, slot } = {}) {
+      if (mode === "stratified") {
+        return deal(slot ?? nextSlot++);
+      }
+      return Object.fromEntries(
+        dimensions.map((arm) => [arm.dimension, arm.items[pickIndex(arm, rng)]])
+      );
+    },
+    probabilities() {
+      return Object.fromEntries(
+        dimensions.map((arm) => {
+          const probabilities = getProbabilities(arm);
+          return [
+            arm.dimension,
+            arm.items.map((item, i) => ({
+              id: item.id,
+              name: item.name || null,
+              weight: arm.weights[i],
+              probability: probabilities[i],
+              sent: arm.itemStats[i]?.sent || 0,
+              counted: arm.itemStats[i]?.counted || 0,
+              reply_rate: arm.itemStats[i]?.counted
+                ? arm.itemStats[i].reward / arm.itemStats[i].counted
+                : null,
+            })),
+          ];
+        })
+      );
+    },
+  };
+}
@@ -0,0 +1,299 @@
+import path from "path";
+import { DIRS } from "./utils.js";
+import { getLLMConfig, createProvider } from "./llm.js";
+import { loadSidecar, getInputHash, annotateAwards } from "./annotate.js";
+
+// Classifications live next to the award index, keyed by award ID. Each
+// keeps a hash of the title and abstract it was made from, so an award
+// whose text changes gets classified again.
+export const CLASSIFICATIONS_PATH = path.join(
+  DIRS.awards,
+  ".classifications.json"
+);
+
+// Kinds of computational work, from the pain points the prompt used to
+// work out for itself (templates/prompts/partials/pain-points.md)
+export const CATEGORIES = {
+  ml: "ML/AI",
+  simulation: "Simulations",
+  pipeline: "Pipelines and software",
+  data: "Data-heavy",
+  multi_site: "Multi-site collaboration",
+  none: "Little computation",
+};
+
+// Matches awards with no classification in --category
+export const UNCLASSIFIED = "unclassified";
+
+export const CLASSIFY_METHODS = {
+  heuristic: "Keyword rules, offline and free",
+  llm: "The configured LLM (see Choosing a Model)",
+};
+
+// Keyword rules for the heuristic classifier. Each hit adds to its
+// category; a term counts at most MAX_HITS_PER_TERM times. "AI" is
+// case-sensitive so it doesn't match inside words.
+const KEYWORDS = {
+  ml: [
+    /machine learning/gi,
+    /deep learning/gi,
+    /neural net\w*/gi,
+    /artificial intelligence/gi,
+    /\bAI\b/g,
+    /reinforcement learning/gi,
+    /language models?/gi,
+    /computer vision/gi,
+    /natural language processing/gi,
+    /training data/gi,
+  ],
+  simulation: [
+    /simulat\w*/gi,
+    /molecular dynamics/gi,
+    /finite[- ]element/gi,
+    /computational fluid dynamics/gi,
+    /monte carlo/gi,
+    /numerical (model|method|solver)\w*/gi,
+    /density functional theory/gi,
+    /first[- ]principles/gi,
+    /ab initio/gi,
+    /high[- ]performance computing/gi,
+    /supercomput\w*/gi,
+  ],
+  pipeline: [
+    /pipelines?/gi,
+    /workflows?/gi,
+    /bioinformatic\w*/gi,
+    /sequencing/gi,
+    /open[- ]source/gi,
+    /software/gi,
+    /reproducib\w*/gi,
+    /code ?base/gi,
+  ],
+  data: [
+    /datasets?/gi,
+    /data[- ]driven/gi,
+    /big data/gi,
+    /databases?/gi,
+    /data repositor\w*/gi,
+    /remote sensing/gi,
+    /satellite/gi,
+    /sensor networks?/gi,
+    /cyberinfrastructure/gi,
+    /imaging/gi,
+  ],
+  multi_site: [
+    /multi[- ]?institution\w*/gi,
+    /multi[- ]?site/gi,
+    /consortium/gi,
+    /partner institutions/gi,
+    /across (the )?(sites|institutions|campuses)/gi,
+  ],
+};
+const MAX_HITS_PER_TERM = 3;
+
+// "Collaborative Research:" titles are one project split across sites
+const COLLABORATIVE_TITLE = /^collaborative research\s*:/i;
+
+// Keyword hits for a 10/10 computational score
+const FULL_SCORE_HITS = 12;
+
+// Below this many hits (outside multi-site) an award counts as "none"
+const MIN_COMPUTATIONAL_HITS = 2;
+
+// Pain-point hypotheses for the heuristic classifier, per category
+const PAIN_POINTS = {
+  ml: "Model weights and training setups that nobody else can reproduce",
+  simulation:
+    "Simulation outputs too big to share and code that only runs on their cluster",
+  pipeline:
+    "Analysis pipelines with fragile dependencies that only work on one machine",
+  data: "Datasets and preprocessing scripts too big for supplementary materials",
+  multi_site:
+    "Keeping code and data in sync across sites with different compute setups",
+  none: "Results and supporting files scattered across email and shared drives",
+};
+
+/**
+ * Tool definition for structured classification output
+ */
+const CLASSIFY_TOOL = {
+  name: "classify_award",
+  description: "Classify the computational work in an NSF award",
+  input_schema: {
+    type: "object",
+    properties: {
+      category: {
+        type: "string",
+        enum: Object.keys(CATEGORIES),
+        description: Object.entries(CATEGORIES)
+          .map(([key, label]) => `${key}: ${label}`)
+          .join("; "),
+      },
+      computational_score: {
+        type: "integer",
+        description:
+          "0 (no computation) to 10 (the project is mostly computational)",
+      },
+      pain_point: {
+        type: "string",
+        description:
+          "One line: what is probably hard for this group to share or reproduce",
+      },
+    },
+    required: ["category", "computational_score", "pain_point"],
+  },
+};
+
+/**
+ * Stored classification for an award, or null if it has none for its
+ * current title and abstract
+ */
+export function getClassification(award) {
+  const stored =
+    loadSidecar(CLASSIFICATIONS_PATH)[award.awardNumber || award._id];
+  return stored?.input_hash === getInputHash(award) ? stored : null;
+}
+
+/**
+ * Classify an award from keywords in its title and abstract
+ */
+export function classifyHeuristic(award) {
+  const text = `${award.title || ""}\n${award.abstractText || ""}`;
+
+  const hits = {};
+  for (const [category, patterns] of Object.entries(KEYWORDS)) {
+    hits[category] = patterns.reduce(
+      (sum, pattern) =>
+        sum + Math.min((text.match(pattern) || []).length, MAX_HITS_PER_TERM),
+      0
+    );
+  }
+  if (COLLABORATIVE_TITLE.test(award.title || "")) hits.multi_site += 2;
+
+  const { multi_site: multiSite, ...computational } = hits;
+  const computationalHits = Object.values(computational).reduce(
+    (sum, n) => sum + n,
+    0
+  );
+  const [top, topHits] = Object.entries(computational).sort(
+    (a, b) => b[1] - a[1]
+  )[0];
+
+  let category = "none";
+  if (computationalHits >= MIN_COMPUTATIONAL_HITS) {
+    category = multiSite > topHits ? "multi_site" : top;
+  }
+
+  return {
+    category,
+    computational_score: Math.min(
+      10,
+      Math.round((computationalHits / FULL_SCORE_HITS) * 10)
+    ),
+    pain_point: PAIN_POINTS[category],
+  };
+}
+
+/**
+ * Classification prompt for the LLM
+ */
+function buildClassifyPrompt(award) {
+  return `Classify the computational work in this NSF award.
+
+Title: ${award.title}
+Abstract: ${award.abstractText || "(none)"}
+
+Categories:
+${Object.entries(CATEGORIES)
+  .map(([key, label]) => `- ${key}: ${label}`)
+  .join("\n")}
+
+Pick the category that best describes the work, score how computational the project is from 0 to 10, and give a one-line hypothesis of what is probably hard for this group to share or reproduce (e.g. "simulation outputs too big for supplementary materials").
+
+Use the classify_award tool.`;
+}
+
+/**
+ * Classify an award with the LLM. Returns { classification, usage }.
+ */
+export async function classifyWithLLM(award, provider) {
+  const result = await provider.generate({
+    prompt: buildClassifyPrompt(award),
+    tool: CLASSIFY_TOOL,
+  });
+  const { category, computational_score: score, pain_point } = result.output;
+  if (!CATEGORIES[category]) {
+    throw new Error(`Unknown category in response: ${category}`);
+  }
+  return {
+    classification: {
+      category,
+      computational_score: Math.max(0, Math.min(10, Math.round(score) || 0)),
+      pain_point: String(pain_point || "").trim() || PAIN_POINTS[category],
+    },
+    usage: result.usage,
+  };
+}
+
+/**
+ * Classify awards and save the results (also set on each award's
+ * _classification). Awards already classified for their current text are
+ * skipped unless force is set.
+ *
+ * onProgress is called as each award finishes with { completed, total,
+ * awardId, status ("classified" / "error"), classification, error }.
+ * Returns { classified, cached, errors[{ awardId, error }], usage }, with
+ * usage as LLM token and cost totals.
+ */
+export async function classifyAwards(awards, options = {}) {
+  const {
+    method = "heuristic",
+    llm = method === "llm" ? getLLMConfig() : null,
+    ...rest
+  } = options;
+  if (!CLASSIFY_METHODS[method]) {
+    throw new Error(
+      `Unknown classify method "${method}" (use ${Object.keys(
+        CLASSIFY_METHODS
+      ).join(", ")})`
+    );
+  }
+
+  const provider = method === "llm" ? createProvider(llm) : null;
+  return annotateAwards(awards, {
+    ...rest,
+    path: CLASSIFICATIONS_PATH,
+    field: "classification",
+    status: "classified",
+    isCurrent: getClassification,
+    annotate: (award) =>
+      provider
+        ? classifyWithLLM(award, provider)
+        : { classification: classifyHeuristic(award) },
+    provider,
+    extra: { method },
+  });
+}
+
+/**
+ * Count awards by category (their _classification), with unclassified
+ * ones under UNCLASSIFIED
+ */
+export function countByCategory(awards) {
+  const counts = {};
+  for (const award of awards) {
+    const key = award._classification?.category || UNCLASSIFIED;
+    counts[key] = (counts[key] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Describe category counts for display, e.g. "4 ML/AI, 2 Simulations"
+ */
+export function describeCategoryCounts(counts) {
+  return [...Object.keys(CATEGORIES), UNCLASSIFIED]
+    .filter((key) => counts[key])
+    .map((key) => `${counts[key]} ${CATEGORIES[key] || key}`)
+    .join(", ");
+}
@@ -0,0 +1,209 @@
+import { extractPIInfo } from "./awards.js";
+import { tokenize } from "./query.js";
+
+// How to handle sibling awards of one collaborative project
+export const GROUP_POLICIES = {
+  lead: "Lead award's PI only",
+  one: "One PI per group (lead if possible)",
+  all: "Every site, with sends staggered",
+};
+
+// Share of abstract word-trigrams two siblings must have in common
+const ABSTRACT_OVERLAP_THRESHOLD = 0.5;
+
+/**
+ * Normalize an award title for sibling matching: drops the
+ * "Collaborative Research:" style prefix (and anything before it, e.g.
+ * "NSF-BSF: Collaborative Research:"), case, and punctuation
+ */
+export function normalizeTitle(title) {
+  if (!title) return "";
+  return tokenize(
+    title.replace(/^.*?collaborative\s+research\s*[:\-–]\s*/i, "")
+  )
+    .join(" ")
+    .trim();
+}
+
+/**
+ * Word-trigram set for an abstract
+ */
+function shingles(text) {
+  const words = tokenize(text);
+  const set = new Set();
+  for (let i = 0; i + 2 < words.length; i++) {
+    set.add(`${words[i]} ${words[i + 1]} ${words[i + 2]}`);
+  }
+  return set;
+}
+
+/**
+ * Overlap between two abstracts (shared trigrams / smaller abstract's trigrams).
+ * Siblings often add a site-specific paragraph, so this is containment rather
+ * than Jaccard.
+ */
+function abstractOverlap(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let shared = 0;
+  for (const s of small) {
+    if (large.has(s)) shared++;
+  }
+  return shared / small.size;
+}
+
+/**
+ * Find groups of sibling awards (same normalized title, overlapping
+ * abstracts) and set _group on each member. Returns the groups.
+ *
+ * NSF doesn't flag the lead institution, so the lowest award ID is treated
+ * as the lead - collaborative sets are usually numbered lead-first.
+ */
+export function findCollaborativeGroups(awards) {
+  const byTitle = new Map();
+  for (const award of awards) {
+    const key = normalizeTitle(award.title || award.awd_titl_txt);
+    if (!key) continue;
+    if (!byTitle.has(key)) byTitle.set(key, []);
+    byTitle.get(key).push(award);
+  }
+
+  const groups = [];
+  for (const candidates of byTitle.values()) {
+    if (candidates.length < 2) continue;
+
+    // Split same-title awards into clusters whose abstracts overlap
+    const clusters = [];
+    for (const award of candidates) {
+      const text = shingles(award.abstractText || award.awd_abstract_narration);
+      const cluster = clusters.find(
+        (c) => abstractOverlap(c.text, text) >= ABSTRACT_OVERLAP_THRESHOLD
+      );
+      if (cluster) {
+        cluster.awards.push(award);
+      } else {
+        clusters.push({ text, awards: [award] });
+      }
+    }
+
+    for (const { awards: members } of clusters) {
+      if (members.length < 2) continue;
+      members.sort((a, b) => getAwardId(a).localeCompare(getAwardId(b)));
+
+      const group = {
+        id: getAwardId(members[0]),
+        title: members[0].title || members[0].awd_titl_txt,
+        lead: getAwardId(members[0]),
+        members: members.map((award) => {
+          const pi = extractPIInfo(award);
+          return {
+            award_id: getAwardId(award),
+            pi_name: pi.piName,
+            pi_email: pi.piEmail,
+            institution: pi.institution,
+          };
+        }),
+      };
+      members.forEach((award) => {
+        award._group = group;
+      });
+      groups.push(group);
+    }
+  }
+
+  return groups;
+}
+
+/**
+ * Award ID used for grouping
+ */
+function getAwardId(award) {
+  return String(award.awardNumber || award.awd_id || award._id);
+}
+
+/**
+ * Position of an award within its group (0 = lead)
+ */
+export function getGroupPosition(award) {
+  if (!award._group) return 0;
+  const id = getAwardId(award);
+  return award._group.members.findIndex((m) => m.award_id === id);
+}
+
+/**
+ * Apply a group policy to a candidate list, keeping list order.
+ * Groups with a sibling already in processedIds are done under "lead" and
+ * "one"; "all" keeps every candidate. Per-person targets on the chosen award
+ * (see expandTargets) are all kept.
+ */
+export function applyGroupPolicy(awards, policy = "all", processedIds) {
+  if (!GROUP_POLICIES[policy]) {
+    throw new Error(
+      `Unknown collaborative policy "${policy}" (use ${Object.keys(
+        GROUP_POLICIES
+      ).join(", ")})`
+    );
+  }
+  if (policy === "all") return awards;
+
+  const processed = processedIds || new Set();
+  const candidateIds = new Set(awards.map(getAwardId));
+  const taken = new Map();
+
+  return awards.filter((award) => {
+    const group = award._group;
+    if (!group) return true;
+    const id = getAwardId(award);
+    if (taken.has(group.id)) return taken.get(group.id) === id;
+    if (group.members.some((m) => processed.has(m.award_id))) return false;
+
+    if (policy === "lead" && id !== group.lead) return false;
+
+    // "one" prefers the lead when it's also a candidate
+    if (policy === "one" && id !== group.lead && candidateIds.has(group.lead)) {
+      return false;
+    }
+
+    taken.set(group.id, id);
+    return true;
+  });
+}
+
+/**
+ * Short label for an award's place in its group, e.g. "lead of 4 sites"
+ */
+export function describeGroupPosition(award) {
+  if (!award._group) return "";
+  const position = getGroupPosition(award);
+  const size = award._group.members.length;
+  return position === 0
+    ? `lead of ${size} sites`
+    : `site ${position + 1} of ${size}`;
+}
+
+/**
+ * Collaborative-project details to store on a draft (null if not grouped).
+ * Under the "all" policy, non-lead sites get stagger_days: send holds them
+ * until the lead site has been emailed and the group's last send is that
+ * many days old, so siblings don't hear from us the same week.
+ */
+export function getCollaborativeRecord(award, options = {}) {
+  const { policy = "all", staggerDays = 0 } = options;
+  const group = award._group;
+  if (!group) return null;
+
+  const id = getAwardId(award);
+  const position = getGroupPosition(award);
+
+  return {
+    group_id: group.id,
+    group_title: group.title,
+    lead_award_id: group.lead,
+    position: position + 1,
+    size: group.members.length,
+    policy,
+    stagger_days:
+      policy === "all" && staggerDays > 0 && position > 0 ? staggerDays : null,
+    siblings: group.members.filter((m) => m.award_id !== id),
+  };
+}
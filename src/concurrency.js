@@ -0,0 +1,172 @@
+// Worker pool, retry with backoff, and a per-minute request/token budget for
+// batches of LLM calls
+
+// HTTP statuses worth retrying (529 is Anthropic's "overloaded")
+const RETRYABLE_STATUSES = [408, 409, 429, 500, 502, 503, 504, 529];
+
+// Network-level error codes worth retrying
+const RETRYABLE_CODES = [
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+  "EPIPE",
+  "UND_ERR_SOCKET",
+  "UND_ERR_CONNECT_TIMEOUT",
+];
+
+const WINDOW_MS = 60000;
+
+/**
+ * Wait ms milliseconds, returning early if the signal aborts
+ */
+function wait(ms, signal) {
+  return new Promise((resolve) => {
+    if (signal?.aborted) return resolve();
+    const timer = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", done);
+      resolve();
+    }
+    signal?.addEventListener("abort", done, { once: true });
+  });
+}
+
+/**
+ * Read a header from a fetch Headers object or a plain object
+ */
+function getHeader(headers, name) {
+  if (!headers) return null;
+  if (typeof headers.get === "function") return headers.get(name);
+  const key = Object.keys(headers).find((k) => k.toLowerCase() === name);
+  return key ? headers[key] : null;
+}
+
+/**
+ * Check if an error is transient (rate limit, overload, server or network
+ * error)
+ */
+export function isRetryable(err) {
+  if (!err) return false;
+  if (RETRYABLE_STATUSES.includes(err.status)) return true;
+  if (RETRYABLE_CODES.includes(err.code || err.cause?.code)) return true;
+  if (err.error?.error?.type === "overloaded_error") return true;
+  // fetch() network failures and the Anthropic SDK's connection errors
+  return /fetch failed|connection error|socket hang up/i.test(err.message);
+}
+
+/**
+ * Delay before retry number `attempt` (0-based): the server's retry-after
+ * when it sends one, otherwise exponential backoff with full jitter
+ */
+export function getRetryDelay(err, attempt, options = {}) {
+  const { baseMs = 1000, maxMs = 60000 } = options;
+
+  const retryAfterMs = Number(getHeader(err?.headers, "retry-after-ms"));
+  if (retryAfterMs > 0) return Math.min(retryAfterMs, maxMs);
+
+  const retryAfter = getHeader(err?.headers, "retry-after");
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const ms = Number.isFinite(seconds)
+      ? seconds * 1000
+      : new Date(retryAfter).getTime() - Date.now();
+    if (ms > 0) return Math.min(ms, maxMs);
+  }
+
+  const ceiling = Math.min(maxMs, baseMs * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Call fn until it succeeds, a non-retryable error is thrown, retries run
+ * out, or the signal aborts. onRetry gets { attempt, delayMs, error } before
+ * each wait.
+ */
+export async function withRetry(fn, options = {}) {
+  const { retries = 4, signal, onRetry } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (err) {
+      if (attempt >= retries || !isRetryable(err) || signal?.aborted) {
+        throw err;
+      }
+      const delayMs = getRetryDelay(err, attempt);
+      if (onRetry) onRetry({ attempt: attempt + 1, delayMs, error: err });
+      await wait(delayMs, signal);
+      if (signal?.aborted) throw err;
+    }
+  }
+}
+
+/**
+ * Sliding-window budget of requests and tokens per minute (0 = unlimited).
+ * acquire(estimatedTokens) waits until a request fits and returns a ticket;
+ * call ticket.settle(actualTokens) once the real usage is known.
+ */
+export function createRateLimiter(options = {}) {
+  const { requestsPerMinute = 0, tokensPerMinute = 0 } = options;
+  const entries = [];
+
+  const prune = (now) => {
+    while (entries.length > 0 && now - entries[0].time >= WINDOW_MS) {
+      entries.shift();
+    }
+  };
+
+  return {
+    async acquire(estimatedTokens = 0, signal) {
+      for (;;) {
+        const now = Date.now();
+        prune(now);
+
+        const tokens = entries.reduce((sum, e) => sum + e.tokens, 0);
+        const requestsFull =
+          requestsPerMinute > 0 && entries.length >= requestsPerMinute;
+        // A single oversized request still goes through on an empty window
+        const tokensFull =
+          tokensPerMinute > 0 &&
+          entries.length > 0 &&
+          tokens + estimatedTokens > tokensPerMinute;
+
+        if (!requestsFull && !tokensFull) {
+          const entry = { time: now, tokens: estimatedTokens };
+          entries.push(entry);
+          return {
+            settle(actualTokens) {
+              entry.tokens = actualTokens;
+            },
+          };
+        }
+        if (signal?.aborted) {
+          throw new Error("Interrupted");
+        }
+        await wait(entries[0].time + WINDOW_MS - now + 10, signal);
+      }
+    },
+  };
+}
+
+/**
+ * Run worker(item, index) over items with at most `concurrency` in flight.
+ * When the signal aborts, no new items start; in-flight ones finish.
+ * Returns the number of items started.
+ */
+export async function runPool(items, worker, options = {}) {
+  const { concurrency = 1, signal } = options;
+  let next = 0;
+
+  const runWorker = async () => {
+    while (next < items.length && !signal?.aborted) {
+      const index = next++;
+      await worker(items[index], index);
+    }
+  };
+
+  const size = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: size }, runWorker));
+  return next;
+}
@@ -0,0 +1,285 @@
+import path from "path";
+import { DIRS, listIds, readJson, writeJson } from "./utils.js";
+import { getAvailableYears, extractPIInfo } from "./awards.js";
+import { getIndexedAwards } from "./award-index.js";
+
+// Registry of everyone we've drafted for or emailed, keyed on normalized
+// email and NSF person ID. Rebuilt from the pipeline folders and the award
+// index on every load, and written out next to the award index (which is
+// git-ignored, as this holds PI names and emails) so it can be inspected.
+export const CONTACTS_PATH = path.join(DIRS.awards, ".contacts.json");
+
+// Default days before the same person can be cold-emailed again
+const DEFAULT_COOLDOWN_DAYS = 90;
+
+// Pipeline folders that count as contacting someone, most final first
+const MESSAGE_FOLDERS = ["sent", "approved", "drafts"];
+
+/**
+ * Parse a cooldown: a whole number of days, 0 for none. Returns null if the
+ * value isn't one.
+ */
+export function parseCooldownDays(value) {
+  const text = String(value ?? "").trim();
+  return /^\d+$/.test(text) ? Number(text) : null;
+}
+
+/**
+ * Cooldown in days (CONTACT_COOLDOWN_DAYS in .env, else 90; 0 turns it
+ * off). Throws if the setting isn't a whole number of days.
+ */
+export function getCooldownDays() {
+  const raw = process.env.CONTACT_COOLDOWN_DAYS;
+  if (!raw?.trim()) return DEFAULT_COOLDOWN_DAYS;
+  const days = parseCooldownDays(raw);
+  if (days === null) {
+    throw new Error(
+      `CONTACT_COOLDOWN_DAYS must be a whole number of days (0 for none), not "${raw}"`
+    );
+  }
+  return days;
+}
+
+/**
+ * Normalize an email address for matching
+ */
+export function normalizeEmail(email) {
+  if (!email) return null;
+  const normalized = String(email).trim().toLowerCase();
+  return normalized.includes("@") ? normalized : null;
+}
+
+/**
+ * Identity keys for a person (email and/or NSF ID)
+ */
+function identityKeys({ email, nsfId }) {
+  const keys = [];
+  const normalized = normalizeEmail(email);
+  if (normalized) keys.push(`email:${normalized}`);
+  if (nsfId) keys.push(`nsf:${nsfId}`);
+  return keys;
+}
+
+/**
+ * Create an empty registry
+ */
+function createRegistry() {
+  return { contacts: new Map(), byKey: new Map() };
+}
+
+/**
+ * Find the contact for a set of identity keys, creating it if needed and
+ * merging contacts that turn out to be the same person
+ */
+function resolveContact(registry, keys, name) {
+  const matches = [
+    ...new Set(keys.map((k) => registry.byKey.get(k)).filter(Boolean)),
+  ];
+
+  let contact = matches[0];
+  if (!contact) {
+    contact = {
+      id: keys[0],
+      name: name || "",
+      emails: [],
+      nsf_ids: [],
+      awards: [],
+      messages: [],
+    };
+    registry.contacts.set(contact.id, contact);
+  }
+
+  // Fold any other matching contact into this one
+  for (const other of matches.slice(1)) {
+    other.emails.forEach((e) => addUnique(contact.emails, e));
+    other.nsf_ids.forEach((id) => addUnique(contact.nsf_ids, id));
+    contact.awards.push(...other.awards);
+    contact.messages.push(...other.messages);
+    registry.contacts.delete(other.id);
+    for (const [key, value] of registry.byKey) {
+      if (value === other) registry.byKey.set(key, contact);
+    }
+  }
+
+  for (const key of keys) {
+    registry.byKey.set(key, contact);
+    const [, type, value] = key.match(/^(email|nsf):(.*)$/);
+    addUnique(type === "email" ? contact.emails : contact.nsf_ids, value);
+  }
+  if (!contact.name && name) contact.name = name;
+
+  return contact;
+}
+
+/**
+ * Push a value onto an array if it isn't already there
+ */
+function addUnique(arr, value) {
+  if (value && !arr.includes(value)) arr.push(value);
+}
+
+/**
+ * Build the contact registry from drafts/, approved/, sent/ and the award
+ * index, and save it to awards/.contacts.json
+ */
+export function buildContactRegistry({ save = true } = {}) {
+  const registry = createRegistry();
+
+  // All indexed awards, for NSF IDs and linked awards
+  const awards = getAvailableYears().flatMap((year) => getIndexedAwards(year));
+  const awardsById = new Map(awards.map((a) => [String(a.awd_id), a]));
+
+  // Everyone who has a draft, approval or send
+  for (const folder of MESSAGE_FOLDERS) {
+    for (const id of listIds(folder)) {
+      const email = readJson(path.join(DIRS[folder], `${id}.json`));
+      if (!email) continue;
+
+      const award = awardsById.get(String(email.award_id));
+      const nsfId =
+        email.pi_nsf_id ||
+        award?.pi?.find(
+          (p) =>
+            normalizeEmail(p.pi_email_addr) === normalizeEmail(email.pi_email)
+        )?.nsf_id;
+
+      const keys = identityKeys({ email: email.pi_email, nsfId });
+      if (keys.length === 0) continue;
+
+      const contact = resolveContact(registry, keys, email.pi_name);
+      contact.messages.push({
+        award_id: String(email.award_id),
+        status: folder === "drafts" ? "draft" : folder,
+        subject: email.subject,
+        generated_at: email.generated_at || null,
+        sent_at: email.sent_at || null,
+      });
+    }
+  }
+
+  // Link every award a known contact appears on
+  for (const award of awards) {
+    for (const p of award.pi || []) {
+      const keys = identityKeys({ email: p.pi_email_addr, nsfId: p.nsf_id });
+      if (!keys.some((k) => registry.byKey.has(k))) continue;
+
+      const contact = resolveContact(registry, keys, p.pi_full_name);
+      if (!contact.awards.some((a) => a.award_id === String(award.awd_id))) {
+        contact.awards.push({
+          award_id: String(award.awd_id),
+          year: award._year,
+          role: p.pi_role || null,
+          title: award.awd_titl_txt,
+        });
+      }
+    }
+  }
+
+  for (const contact of registry.contacts.values()) {
+    const sent = contact.messages
+      .filter((m) => m.sent_at)
+      .sort((a, b) => b.sent_at.localeCompare(a.sent_at));
+    contact.last_contacted_at = sent[0]?.sent_at || null;
+  }
+
+  if (save) {
+    writeJson(CONTACTS_PATH, {
+      updated_at: new Date().toISOString(),
+      contacts: [...registry.contacts.values()],
+    });
+  }
+
+  return registry;
+}
+
+/**
+ * Look up a contact by email and/or NSF ID
+ */
+export function findContact(registry, { email, nsfId }) {
+  for (const key of identityKeys({ email, nsfId })) {
+    const contact = registry.byKey.get(key);
+    if (contact) return contact;
+  }
+  return null;
+}
+
+/**
+ * Find the most relevant earlier contact with an award's PI: a draft/approved
+ * email still waiting, else the last send. Returns null for someone new.
+ * blocking is true when that contact should stop another email (pending, or
+ * sent within cooldownDays).
+ */
+export function getRecentContact(registry, award, cooldownDays) {
+  const pi = extractPIInfo(award);
+  const contact = findContact(registry, {
+    email: pi.piEmail,
+    nsfId: pi.piNsfId,
+  });
+  if (!contact) return null;
+
+  const awardId = String(award.awardNumber || award.awd_id || award._id);
+  const pending = contact.messages.find(
+    (m) => !m.sent_at && m.award_id !== awardId
+  );
+  if (pending) {
+    return {
+      contact,
+      message: pending,
+      blocking: true,
+      reason: `${pending.status} pending via award ${pending.award_id}`,
+    };
+  }
+
+  if (!contact.last_contacted_at) return null;
+  const last = contact.messages.find(
+    (m) => m.sent_at === contact.last_contacted_at
+  );
+  const ageDays =
+    (Date.now() - new Date(contact.last_contacted_at).getTime()) / 86400000;
+
+  return {
+    contact,
+    message: last,
+    blocking: ageDays < cooldownDays,
+    reason: `already contacted on ${contact.last_contacted_at.slice(
+      0,
+      10
+    )} via award ${last.award_id}`,
+  };
+}
+
+/**
+ * Hold back awards whose PI was contacted within the cooldown, has a draft
+ * in flight, or appears more than once in this batch. In "warn" mode the
+ * awards are kept and only reported.
+ */
+export function applyContactCooldown(awards, registry, options = {}) {
+  const { cooldownDays = getCooldownDays(), mode = "skip" } = options;
+  const kept = [];
+  const held = [];
+  const seen = new Set();
+
+  for (const award of awards) {
+    const pi = extractPIInfo(award);
+    const keys = identityKeys({ email: pi.piEmail, nsfId: pi.piNsfId });
+    const awardId = award.awardNumber || award._id;
+
+    let reason = null;
+    const recent = getRecentContact(registry, award, cooldownDays);
+    if (recent?.blocking) {
+      reason = recent.reason;
+    } else if (keys.some((k) => seen.has(k))) {
+      reason = "same person appears earlier in this batch";
+    }
+    keys.forEach((k) => seen.add(k));
+
+    if (reason) {
+      held.push({ awardId, piEmail: pi.piEmail, reason });
+      if (mode === "warn") kept.push(award);
+    } else {
+      kept.push(award);
+    }
+  }
+
+  return { awards: kept, held };
+}
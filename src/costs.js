@@ -0,0 +1,202 @@
+import fs from "fs";
+import path from "path";
+import { DIRS, listIds, readJson } from "./utils.js";
+
+// Optional price overrides in USD per million tokens, keyed by model, e.g.
+// { "claude-sonnet-4-5": { "input": 3, "output": 15 } }
+export const PRICES_PATH = "prices.json";
+
+// List prices in USD per million tokens. Thinking is billed as output.
+const DEFAULT_PRICES = {
+  "claude-opus-4-1": { input: 15, output: 75 },
+  "claude-opus-4": { input: 15, output: 75 },
+  "claude-sonnet-4-5": { input: 3, output: 15 },
+  "claude-sonnet-4": { input: 3, output: 15 },
+  "claude-3-7-sonnet": { input: 3, output: 15 },
+  "claude-haiku-4-5": { input: 1, output: 5 },
+  "claude-3-5-haiku": { input: 0.8, output: 4 },
+  "gpt-4o": { input: 2.5, output: 10 },
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-4.1": { input: 2, output: 8 },
+  "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+  "mock-1": { input: 0, output: 0 },
+};
+
+// Folders whose records count towards spend
+const RECORD_FOLDERS = ["drafts", "approved", "sent", "skipped"];
+
+// Ways to group the costs report
+export const COST_GROUPS = {
+  campaign: "Campaign (generate --campaign)",
+  variant: "Template variant",
+  month: "Month generated",
+};
+
+let prices = null;
+
+/**
+ * Load the price table: defaults plus prices.json (once per process)
+ */
+function loadPrices() {
+  if (!prices) {
+    const overrides = fs.existsSync(PRICES_PATH)
+      ? readJson(PRICES_PATH) || {}
+      : {};
+    prices = { ...DEFAULT_PRICES, ...overrides };
+  }
+  return prices;
+}
+
+/**
+ * Price for a model, or null if it isn't in the table. Dated model IDs
+ * ("claude-sonnet-4-5-20250929") match their undated entry; the longest
+ * matching entry wins so "gpt-4o-mini" doesn't price as "gpt-4o".
+ */
+export function getPrice(model) {
+  if (!model) return null;
+  const table = loadPrices();
+  if (table[model]) return table[model];
+
+  const match = Object.keys(table)
+    .filter((key) => model.startsWith(`${key}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? table[match] : null;
+}
+
+/**
+ * Dollar cost of a call's usage ({ input_tokens, output_tokens }), or null
+ * when the model has no price
+ */
+export function getCost(usage, model) {
+  const price = getPrice(model);
+  if (!usage || !price) return null;
+  return (
+    ((usage.input_tokens || 0) * (price.input || 0) +
+      (usage.output_tokens || 0) * (price.output || 0)) /
+    1e6
+  );
+}
+
+/**
+ * Format a dollar amount, with more precision for small sums
+ */
+export function formatCost(cost) {
+  if (cost === null || cost === undefined) return "n/a";
+  return `$${cost.toFixed(cost < 1 ? 4 : 2)}`;
+}
+
+/**
+ * Running token and spend totals for a batch, with optional caps
+ * (maxSpend in dollars, maxTokens input + output; 0 = no cap).
+ * add() returns the cap that was hit ("spend" / "tokens") or null.
+ */
+export function createUsageTracker({ maxSpend = 0, maxTokens = 0 } = {}) {
+  const totals = {
+    calls: 0,
+    input_tokens: 0,
+    output_tokens: 0,
+    thinking_tokens: 0,
+    cost_usd: 0,
+    unpriced: 0,
+  };
+
+  return {
+    totals,
+    add(usage, cost) {
+      if (usage) {
+        totals.calls++;
+        totals.input_tokens += usage.input_tokens || 0;
+        totals.output_tokens += usage.output_tokens || 0;
+        totals.thinking_tokens += usage.thinking_tokens || 0;
+        if (cost === null || cost === undefined) totals.unpriced++;
+        else totals.cost_usd += cost;
+      }
+      return this.limitReached();
+    },
+    limitReached() {
+      if (maxSpend > 0 && totals.cost_usd >= maxSpend) return "spend";
+      if (
+        maxTokens > 0 &&
+        totals.input_tokens + totals.output_tokens >= maxTokens
+      ) {
+        return "tokens";
+      }
+      return null;
+    },
+  };
+}
+
+/**
+ * Group key for a record
+ */
+function groupKey(record, by) {
+  if (by === "campaign") return record.campaign || "(none)";
+  if (by === "variant") {
+    const { template_id: id, template_name: name } = record.variants || {};
+    if (id === undefined || id === null) return "(unknown)";
+    return name ? `${id} ${name}` : String(id);
+  }
+  return (record.generated_at || "").slice(0, 7) || "(unknown)";
+}
+
+/**
+ * Usage and cost of a record, including the earlier versions in its
+ * history (drafts regenerated from review). Cost is null if any version is
+ * unpriced.
+ */
+function getRecordSpend(record) {
+  const usage = { input_tokens: 0, output_tokens: 0, thinking_tokens: 0 };
+  let cost = 0;
+  for (const version of [record, ...(record.history || [])]) {
+    if (!version.usage) continue;
+    for (const key of Object.keys(usage)) {
+      usage[key] += version.usage[key] || 0;
+    }
+    const versionCost =
+      version.cost_usd ?? getCost(version.usage, version.llm?.model);
+    cost = cost === null || versionCost === null ? null : cost + versionCost;
+  }
+  return { usage, cost };
+}
+
+/**
+ * Aggregate stored usage across drafts, approved, sent and skipped records,
+ * grouped by campaign, variant or month. Records generated before usage was
+ * tracked are counted as untracked. Regenerated drafts count every version.
+ * Uses the cost saved at generation time, falling back to the current price
+ * table.
+ *
+ * Returns { by, groups[{ key, drafts, input_tokens, output_tokens,
+ * thinking_tokens, cost_usd, unpriced }], total, untracked }.
+ */
+export function getCostReport({ by = "campaign" } = {}) {
+  const groups = new Map();
+  const total = createUsageTracker();
+  let untracked = 0;
+
+  for (const folder of RECORD_FOLDERS) {
+    for (const id of listIds(folder)) {
+      const record = readJson(path.join(DIRS[folder], `${id}.json`));
+      if (!record) continue;
+      if (!record.usage) {
+        untracked++;
+        continue;
+      }
+
+      const key = groupKey(record, by);
+      if (!groups.has(key)) groups.set(key, createUsageTracker());
+      const { usage, cost } = getRecordSpend(record);
+      groups.get(key).add(usage, cost);
+      total.add(usage, cost);
+    }
+  }
+
+  const summarize = ({ calls, ...totals }) => ({ drafts: calls, ...totals });
+  const rows = [...groups.entries()]
+    .map(([key, tracker]) => ({ key, ...summarize(tracker.totals) }))
+    .sort((a, b) =>
+      by === "month" ? a.key.localeCompare(b.key) : b.cost_usd - a.cost_usd
+    );
+
+  return { by, groups: rows, total: summarize(total.totals), untracked };
+}
@@ -0,0 +1,153 @@
+import { lintDraft } from "./generate.js";
+
+// Headers a reviewer can edit; everything after the first blank line is the
+// body
+const EDIT_HEADERS = ["subject"];
+
+/**
+ * Plain-text form of a draft for editing: a Subject header, a blank line,
+ * then the body
+ */
+export function formatEditText({ subject, body }) {
+  return `Subject: ${subject}\n\n${body.trimEnd()}\n`;
+}
+
+/**
+ * Parse edited text back into { subject, body }. Header lines may wrap
+ * onto indented continuation lines, as in email. Throws with a message for
+ * the reviewer if the text isn't a subject header, a blank line and a body.
+ */
+export function parseEditText(text) {
+  const lines = text.replace(/\r\n?/g, "\n").split("\n");
+  const separator = lines.findIndex((line) => line.trim() === "");
+  if (separator === -1) {
+    throw new Error("Missing the blank line between the Subject and the body");
+  }
+
+  const headers = {};
+  let current = null;
+  for (const line of lines.slice(0, separator)) {
+    if (/^\s/.test(line) && current) {
+      headers[current] += ` ${line.trim()}`;
+      continue;
+    }
+    const match = line.match(/^([\w-]+):\s*(.*)$/);
+    if (!match) {
+      throw new Error(
+        `Not a header: "${line}" (put a blank line after the Subject)`
+      );
+    }
+    current = match[1].toLowerCase();
+    if (!EDIT_HEADERS.includes(current)) {
+      throw new Error(`Unknown header "${match[1]}" (only Subject is edited)`);
+    }
+    if (current in headers) {
+      throw new Error(`"${match[1]}" appears more than once`);
+    }
+    headers[current] = match[2].trim();
+  }
+
+  const subject = headers.subject?.trim();
+  const body = lines
+    .slice(separator + 1)
+    .join("\n")
+    .trim();
+  if (!subject) throw new Error("The Subject is empty");
+  if (!body) throw new Error("The body is empty");
+  return { subject, body };
+}
+
+/**
+ * Line diff with every line kept: " " unchanged, "-" removed, "+" added.
+ * Bodies keep a paragraph per line, so this is a paragraph-level diff.
+ */
+export function diffLines(before, after) {
+  const a = before.split("\n");
+  const b = after.split("\n");
+
+  // Longest common subsequence lengths of every pair of suffixes
+  const lcs = Array.from({ length: a.length + 1 }, () =>
+    new Array(b.length + 1).fill(0)
+  );
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] =
+        a[i] === b[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push(` ${a[i++]}`);
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      lines.push(`-${a[i++]}`);
+    } else {
+      lines.push(`+${b[j++]}`);
+    }
+  }
+  while (i < a.length) lines.push(`-${a[i++]}`);
+  while (j < b.length) lines.push(`+${b[j++]}`);
+  return lines.join("\n");
+}
+
+/**
+ * The draft's current human_edit if it was made to the candidate now shown
+ * (see generate --candidates), else null
+ */
+function getCurrentEdit(email) {
+  const edit = email.human_edit;
+  return edit && edit.candidate_index === (email.candidate_index ?? null)
+    ? edit
+    : null;
+}
+
+/**
+ * The subject and body as generated, before any reviewer edits: earlier
+ * edits are undone from their diff
+ */
+function getGeneratedText(email) {
+  const edit = getCurrentEdit(email);
+  if (!edit) return { subject: email.subject, body: email.body };
+  return parseEditText(
+    edit.diff
+      .split("\n")
+      .filter((line) => !line.startsWith("+"))
+      .map((line) => line.slice(1))
+      .join("\n")
+  );
+}
+
+/**
+ * Apply a reviewer's edited subject and body to a draft. Records
+ * human_edit with a diff against the generated text (so repeated edits
+ * still diff against what the model wrote) and re-lints the draft. An edit
+ * back to the generated text clears human_edit.
+ */
+export function applyHumanEdit(email, { subject, body }) {
+  const generated = getGeneratedText(email);
+  const before = formatEditText(generated).trimEnd();
+  const after = formatEditText({ subject, body }).trimEnd();
+
+  return {
+    ...email,
+    subject,
+    body,
+    lint: { ...email.lint, violations: lintDraft({ subject, body }) },
+    human_edit:
+      before === after
+        ? null
+        : {
+            edited_at: new Date().toISOString(),
+            edits: (getCurrentEdit(email)?.edits || 0) + 1,
+            candidate_index: email.candidate_index ?? null,
+            subject_changed: subject !== generated.subject,
+            diff: diffLines(before, after),
+          },
+  };
+}
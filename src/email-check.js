@@ -0,0 +1,366 @@
+import fs from "fs";
+import dns from "dns";
+import { readJson } from "./utils.js";
+import { cleanInstitutionName } from "./names.js";
+
+// Optional map of institution display name -> email domains, for
+// institutions the name heuristic gets wrong, e.g.
+// { "Pennsylvania State University": ["psu.edu"] }
+export const INSTITUTION_DOMAINS_PATH = "institution-domains.json";
+
+// Issue codes. Errors stop an email from being generated or sent; warnings
+// are shown for a human to judge.
+export const EMAIL_ISSUES = {
+  invalid_syntax: { severity: "error", label: "invalid address" },
+  likely_typo: { severity: "error", label: "likely typo" },
+  role_mailbox: { severity: "error", label: "role/shared mailbox" },
+  no_mx: { severity: "error", label: "domain doesn't accept mail" },
+  domain_mismatch: {
+    severity: "warning",
+    label: "domain doesn't match institution",
+  },
+  personal_address: {
+    severity: "warning",
+    label: "personal (non-.edu) address",
+  },
+};
+
+// Whole local parts used by offices rather than people ("info@",
+// "research@")
+const ROLE_MAILBOXES = [
+  "admin",
+  "contact",
+  "contracts",
+  "department",
+  "dept",
+  "grants",
+  "help",
+  "helpdesk",
+  "hr",
+  "info",
+  "mail",
+  "noreply",
+  "no-reply",
+  "office",
+  "osp",
+  "postmaster",
+  "research",
+  "sponsored",
+  "sponsoredprograms",
+  "staff",
+  "support",
+  "team",
+  "webmaster",
+];
+
+// Leading words of office mailboxes ("osp-awards@", "grants.office@").
+// Only words no one is named, so "dean.smith@" is still a person.
+const ROLE_PREFIXES = [
+  "contracts",
+  "grants",
+  "helpdesk",
+  "info",
+  "noreply",
+  "no-reply",
+  "osp",
+  "postmaster",
+  "sponsored",
+  "sponsoredprograms",
+  "webmaster",
+];
+
+// Free mail providers
+const PERSONAL_DOMAINS = [
+  "163.com",
+  "aol.com",
+  "gmail.com",
+  "googlemail.com",
+  "hotmail.com",
+  "icloud.com",
+  "live.com",
+  "mac.com",
+  "me.com",
+  "msn.com",
+  "outlook.com",
+  "proton.me",
+  "protonmail.com",
+  "qq.com",
+  "yahoo.com",
+];
+
+// Misspellings seen in NSF data and their likely intent
+const TYPO_DOMAINS = {
+  "gmial.com": "gmail.com",
+  "gmai.com": "gmail.com",
+  "gamil.com": "gmail.com",
+  "hotmial.com": "hotmail.com",
+  "yaho.com": "yahoo.com",
+};
+const TYPO_TLDS = {
+  ed: "edu",
+  eud: "edu",
+  edy: "edu",
+  eduu: "edu",
+  con: "com",
+};
+
+// Words that don't identify an institution
+const GENERIC_WORDS = [
+  "and",
+  "at",
+  "center",
+  "college",
+  "community",
+  "corporation",
+  "foundation",
+  "for",
+  "in",
+  "inc",
+  "institute",
+  "of",
+  "research",
+  "school",
+  "the",
+  "university",
+];
+
+let institutionDomains = null;
+const mxCache = new Map();
+
+/**
+ * Check address syntax (RFC 5321-ish: dot-atom local part, hostname domain
+ * with an alphabetic TLD)
+ */
+function isValidSyntax(address) {
+  const at = address.lastIndexOf("@");
+  if (at < 1 || address.indexOf("@") !== at) return false;
+
+  const local = address.slice(0, at);
+  const domain = address.slice(at + 1);
+  if (local.length > 64 || domain.length > 253) return false;
+
+  if (!/^[A-Za-z0-9!#$%&'*+/=?^_`{|}~.-]+$/.test(local)) return false;
+  if (/^\.|\.$|\.\./.test(local)) return false;
+
+  const labels = domain.toLowerCase().split(".");
+  if (labels.length < 2) return false;
+  if (!/^[a-z]{2,}$/.test(labels[labels.length - 1])) return false;
+  return labels.every((label) =>
+    /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/.test(label)
+  );
+}
+
+/**
+ * Likely intended domain for a misspelled one, or null
+ */
+function findTypo(domain) {
+  if (TYPO_DOMAINS[domain]) return TYPO_DOMAINS[domain];
+  const labels = domain.split(".");
+  const tld = labels[labels.length - 1];
+  if (TYPO_TLDS[tld]) return [...labels.slice(0, -1), TYPO_TLDS[tld]].join(".");
+  if (/\.edu\.edu$/.test(domain)) return domain.replace(/\.edu$/, "");
+  return null;
+}
+
+/**
+ * Check whether a local part is a role/shared mailbox
+ */
+function isRoleMailbox(local) {
+  const normalized = local.toLowerCase();
+  if (ROLE_MAILBOXES.includes(normalized)) return true;
+  const lead = normalized.split(/[._+]/)[0];
+  return (
+    ROLE_PREFIXES.includes(lead) || ROLE_PREFIXES.includes(lead.split("-")[0])
+  );
+}
+
+/**
+ * Load the institution -> domains map (once per process), keyed by lowercase
+ * display name
+ */
+function loadInstitutionDomains() {
+  if (!institutionDomains) {
+    const raw = fs.existsSync(INSTITUTION_DOMAINS_PATH)
+      ? readJson(INSTITUTION_DOMAINS_PATH) || {}
+      : {};
+    institutionDomains = new Map(
+      Object.entries(raw).map(([name, domains]) => [
+        cleanInstitutionName(name).toLowerCase(),
+        [].concat(domains).map((d) => d.toLowerCase()),
+      ])
+    );
+  }
+  return institutionDomains;
+}
+
+/**
+ * Check whether a domain plausibly belongs to an institution. Uses the
+ * institution-domains.json map when the institution is in it. Otherwise,
+ * only with heuristic set, looks for a distinctive word or the initials of
+ * the name in the domain ("psu" for Pennsylvania State University, "umich"
+ * for University of Michigan); that guess misses many real domains
+ * ("vt.edu", "nd.edu"), so it's opt-in.
+ * Returns null when there's nothing to compare against.
+ */
+export function domainMatchesInstitution(
+  domain,
+  institution,
+  { heuristic = false } = {}
+) {
+  const name = cleanInstitutionName(institution);
+  if (!name || !domain) return null;
+
+  const mapped = loadInstitutionDomains().get(name.toLowerCase());
+  if (mapped) {
+    return mapped.some((d) => domain === d || domain.endsWith(`.${d}`));
+  }
+  if (!heuristic) return null;
+
+  const words = name
+    .toLowerCase()
+    .replace(/&/g, " ")
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+  const labels = domain.split(".").slice(0, -1).join("");
+
+  // A distinctive word (or its first four letters: "mich" in "umich")
+  const distinctive = words.filter(
+    (w) => w.length >= 4 && !GENERIC_WORDS.includes(w)
+  );
+  if (distinctive.some((w) => labels.includes(w.slice(0, 4)))) return true;
+
+  // Initials, with and without minor words ("mit", "psu", "tamu")
+  const initials = words.map((w) => w[0]).join("");
+  const majorInitials = words
+    .filter((w) => !["of", "the", "at", "and", "in", "for"].includes(w))
+    .map((w) => w[0])
+    .join("");
+  return [initials, majorInitials].some(
+    (i) => i.length >= 2 && labels.includes(i)
+  );
+}
+
+/**
+ * Check a recipient address. Returns { address, domain, valid, issues[] }
+ * where valid means nothing error-level was found and each issue is
+ * { code, severity, message }. Pass the award's institution to check the
+ * domain against it (by institution-domains.json, plus the name heuristic
+ * when checkDomains is set; see domainMatchesInstitution).
+ */
+export function checkEmail(
+  address,
+  { institution, checkDomains = isDomainCheckEnabled() } = {}
+) {
+  const issues = [];
+  const add = (code, message) =>
+    issues.push({ code, severity: EMAIL_ISSUES[code].severity, message });
+
+  const trimmed = (address || "").trim();
+  const domain = trimmed.includes("@")
+    ? trimmed.slice(trimmed.lastIndexOf("@") + 1).toLowerCase()
+    : "";
+
+  if (!trimmed || !isValidSyntax(trimmed)) {
+    add(
+      "invalid_syntax",
+      trimmed ? `"${trimmed}" isn't a valid address` : "no address"
+    );
+    return { address: trimmed, domain, valid: false, issues };
+  }
+
+  const typo = findTypo(domain);
+  if (typo) add("likely_typo", `${domain} looks like a typo for ${typo}`);
+
+  const local = trimmed.slice(0, trimmed.lastIndexOf("@"));
+  if (isRoleMailbox(local)) {
+    add("role_mailbox", `${local}@ looks like a shared mailbox`);
+  }
+
+  if (PERSONAL_DOMAINS.includes(domain)) {
+    add("personal_address", `${domain} is a personal address`);
+  } else if (
+    domainMatchesInstitution(domain, institution, {
+      heuristic: checkDomains,
+    }) === false
+  ) {
+    add(
+      "domain_mismatch",
+      `${domain} doesn't look like ${cleanInstitutionName(institution)}`
+    );
+  }
+
+  return {
+    address: trimmed,
+    domain,
+    valid: !issues.some((i) => i.severity === "error"),
+    issues,
+  };
+}
+
+/**
+ * Look up MX records for a domain (cached). Network access is needed, so
+ * this only runs when asked for (--check-mx / EMAIL_CHECK_MX=true).
+ * Resolves to true/false, or null when the lookup itself failed.
+ */
+export async function hasMxRecords(domain) {
+  if (mxCache.has(domain)) return mxCache.get(domain);
+
+  let result;
+  try {
+    const records = await dns.promises.resolveMx(domain);
+    result = records.length > 0;
+  } catch (err) {
+    // No such domain / no records is an answer; anything else (offline,
+    // timeout) is not
+    result = ["ENOTFOUND", "ENODATA"].includes(err.code) ? false : null;
+  }
+
+  mxCache.set(domain, result);
+  return result;
+}
+
+/**
+ * checkEmail plus an MX lookup when checkMx is set
+ */
+export async function checkEmailDeliverable(address, options = {}) {
+  const result = checkEmail(address, options);
+  if (
+    !options.checkMx ||
+    !result.domain ||
+    result.issues.some((i) => i.code === "invalid_syntax")
+  ) {
+    return result;
+  }
+
+  if ((await hasMxRecords(result.domain)) === false) {
+    result.issues.push({
+      code: "no_mx",
+      severity: "error",
+      message: `${result.domain} has no mail servers`,
+    });
+    result.valid = false;
+  }
+  return result;
+}
+
+/**
+ * Whether MX lookups are on by default (EMAIL_CHECK_MX in .env)
+ */
+export function isMxCheckEnabled() {
+  return /^(1|true|yes)$/i.test(process.env.EMAIL_CHECK_MX || "");
+}
+
+/**
+ * Whether the institution name heuristic is on (EMAIL_CHECK_DOMAINS in
+ * .env)
+ */
+export function isDomainCheckEnabled() {
+  return /^(1|true|yes)$/i.test(process.env.EMAIL_CHECK_DOMAINS || "");
+}
+
+/**
+ * One-line summary of issue messages for display
+ */
+export function describeEmailIssues(issues) {
+  return issues.map((i) => i.message).join("; ");
+}
@@ -0,0 +1,196 @@
+import path from "path";
+import { DIRS, listIds, readJson } from "./utils.js";
+import { findAward } from "./awards.js";
+import { getIndexedEmbedding, setIndexedEmbeddings } from "./award-index.js";
+
+// Sentence model run locally on the CPU with transformers.js (ONNX). The
+// first use downloads it to the transformers.js cache; after that nothing
+// leaves the machine.
+export const DEFAULT_EMBEDDING_MODEL = "Xenova/all-MiniLM-L6-v2";
+
+// Texts per model call
+const BATCH_SIZE = 32;
+
+// Awards embedded between index saves; the index is rewritten on each save,
+// so this trades progress kept on Ctrl-C against disk churn
+const SAVE_EVERY = 512;
+
+/**
+ * Embedding model from the environment, or the default
+ */
+export function getEmbeddingModel() {
+  return process.env.EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODEL;
+}
+
+const extractors = new Map();
+
+/**
+ * Load a feature-extraction pipeline (once per model per process).
+ * transformers.js is imported on first use so the rest of the CLI works
+ * without it.
+ */
+function loadExtractor(model) {
+  if (!extractors.has(model)) {
+    extractors.set(
+      model,
+      (async () => {
+        let transformers;
+        try {
+          transformers = await import("@huggingface/transformers");
+        } catch {
+          throw new Error(
+            "Local embeddings need @huggingface/transformers (run npm install)"
+          );
+        }
+        return transformers.pipeline("feature-extraction", model, {
+          device: "cpu",
+          dtype: "q8",
+        });
+      })()
+    );
+  }
+  return extractors.get(model);
+}
+
+/**
+ * Text an award is embedded from
+ */
+function getEmbeddingText(award) {
+  return `${award.title || ""}\n${award.abstractText || ""}`.trim();
+}
+
+/**
+ * Embed texts as unit-length vectors (mean-pooled), so cosine similarity
+ * is a dot product
+ */
+async function embedTexts(texts, model) {
+  const extractor = await loadExtractor(model);
+  const output = await extractor(texts, { pooling: "mean", normalize: true });
+  return output.tolist().map((values) => Float32Array.from(values));
+}
+
+/**
+ * Vector to base64 for the index
+ */
+function encodeVector(vector) {
+  return Buffer.from(
+    vector.buffer,
+    vector.byteOffset,
+    vector.byteLength
+  ).toString("base64");
+}
+
+/**
+ * base64 from the index back to a vector
+ */
+function decodeVector(text) {
+  // Copy out of Buffer's shared pool, which isn't 4-byte aligned
+  return new Float32Array(Uint8Array.from(Buffer.from(text, "base64")).buffer);
+}
+
+/**
+ * Dot product of two vectors of the same length
+ */
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+/**
+ * Make sure every award has an embedding for the model, embedding the
+ * missing ones in batches. Indexed awards (with _year) keep theirs in the
+ * award index; others, like per-person staging copies, are embedded for
+ * this process only. Sets _vector on each award.
+ *
+ * onProgress is called as embeddings are saved with { completed, total }.
+ * Returns { embedded, cached }.
+ */
+export async function embedAwards(awards, options = {}) {
+  const { model = getEmbeddingModel(), force = false, onProgress } = options;
+
+  const todo = [];
+  for (const award of awards) {
+    const stored =
+      !force && award._year
+        ? getIndexedEmbedding(award._year, award._id)
+        : null;
+    if (stored?.model === model) {
+      award._vector = decodeVector(stored.vector);
+    } else {
+      todo.push(award);
+    }
+  }
+
+  let pending = [];
+  for (let i = 0; i < todo.length; i += BATCH_SIZE) {
+    const batch = todo.slice(i, i + BATCH_SIZE);
+    const vectors = await embedTexts(batch.map(getEmbeddingText), model);
+    batch.forEach((award, j) => {
+      award._vector = vectors[j];
+      if (award._year) {
+        pending.push({
+          year: award._year,
+          id: award._id,
+          model,
+          vector: encodeVector(vectors[j]),
+        });
+      }
+    });
+
+    const completed = Math.min(i + BATCH_SIZE, todo.length);
+    if (pending.length >= SAVE_EVERY || completed === todo.length) {
+      if (pending.length > 0) setIndexedEmbeddings(pending);
+      pending = [];
+      onProgress?.({ completed, total: todo.length });
+    }
+  }
+
+  return { embedded: todo.length, cached: awards.length - todo.length };
+}
+
+/**
+ * Rank awards by similarity to seed awards: each award scores its cosine
+ * similarity to the closest seed, so lookalikes of any one seed rank high.
+ * Embeds whatever is missing first (options as for embedAwards). The seeds
+ * themselves are left out.
+ *
+ * Sets _similarity { score, seed } (seed is the closest seed's award ID)
+ * and returns the awards most similar first.
+ */
+export async function rankBySimilarity(awards, seeds, options = {}) {
+  if (seeds.length === 0) throw new Error("No seed awards to compare with");
+  await embedAwards([...seeds, ...awards], options);
+
+  const seedIds = new Set(seeds.map((s) => String(s.awardNumber || s._id)));
+  return awards
+    .filter((award) => !seedIds.has(String(award.awardNumber || award._id)))
+    .map((award) => {
+      let best = { score: -Infinity, seed: null };
+      for (const seed of seeds) {
+        const score = dot(award._vector, seed._vector);
+        if (score > best.score) {
+          best = { score, seed: String(seed.awardNumber || seed._id) };
+        }
+      }
+      award._similarity = {
+        score: Math.round(best.score * 1000) / 1000,
+        seed: best.seed,
+      };
+      return award;
+    })
+    .sort((a, b) => b._similarity.score - a._similarity.score);
+}
+
+/**
+ * Awards behind sent emails that got a positive reply (see outcomes.js),
+ * for seeding a lookalike search. Awards no longer on disk are left out.
+ */
+export function getPositiveReplyAwards() {
+  const awardIds = new Set();
+  for (const id of listIds("sent")) {
+    const record = readJson(path.join(DIRS.sent, `${id}.json`));
+    if (record?.outcome === "positive") awardIds.add(String(record.award_id));
+  }
+  return [...awardIds].map((id) => findAward(id)).filter(Boolean);
+}
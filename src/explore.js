@@ -4,12 +4,47 @@ import readline from "readline";
 import { execSync } from "child_process";
 import chalk from "chalk";
 import { DIRS, readJson, writeJson, ensureDirs } from "./utils.js";
-import { loadAwards, extractPIInfo, hasValidContact } from "./awards.js";
+import { describeFilters } from "./filters.js";
+import { buildTermsRegex } from "./query.js";
+import { applyGroupPolicy, describeGroupPosition } from "./collab.js";
+import { CATEGORIES } from "./classify.js";
+import { rankBySimilarity } from "./embeddings.js";
+import { INDEX_FIELDS } from "./award-index.js";
+import {
+  buildContactRegistry,
+  getRecentContact,
+  getCooldownDays,
+} from "./contacts.js";
+import {
+  loadAwards,
+  loadAward,
+  extractPIInfo,
+  getContactCheck,
+  getProcessedAwardIds,
+  expandTargets,
+  getTargetId,
+} from "./awards.js";
+
+/**
+ * Highlight query matches in text
+ */
+function highlight(text, regex) {
+  if (!regex) return text;
+  return text.replace(regex, (match) => chalk.bold.yellow(match));
+}
 
 /**
  * Display a single award
  */
-function displayAward(award, index, total, year) {
+function displayAward(
+  award,
+  index,
+  total,
+  year,
+  processedIds,
+  contacts,
+  cooldownDays
+) {
   console.clear();
   console.log(
     chalk.bold(`\n🔍 Explore Mode - ${year}`) +
@@ -21,29 +56,106 @@ function displayAward(award, index, total, year) {
   const title = award.awd_titl_txt || award.title || "No title";
   const amount = award.awd_amount || award.tot_intn_awd_amt || null;
 
+  const matchRegex = buildTermsRegex(award._matchedTerms);
+
   console.log(`${chalk.cyan("Award ID:")} ${awardId}`);
-  console.log(`${chalk.cyan("Title:")} ${title}`);
+  console.log(`${chalk.cyan("Title:")} ${highlight(title, matchRegex)}`);
   if (amount) {
     console.log(`${chalk.cyan("Amount:")} $${amount.toLocaleString()}`);
   }
+  if (award._score !== undefined) {
+    const terms = award._matchedTerms.map((t) => t.text).join(", ");
+    console.log(
+      `${chalk.cyan("Relevance:")} ${award._score}` +
+        (terms ? chalk.dim(` (matched: ${terms})`) : "")
+    );
+  }
+
+  if (award._similarity) {
+    console.log(
+      `${chalk.cyan("Similarity:")} ${award._similarity.score.toFixed(3)}` +
+        chalk.dim(` (like ${award._similarity.seed})`)
+    );
+  }
+
+  if (award._classification) {
+    const c = award._classification;
+    console.log(
+      `${chalk.cyan("Category:")} ${CATEGORIES[c.category]}, computational ${
+        c.computational_score
+      }/10` + chalk.dim(` - ${c.pain_point}`)
+    );
+  }
 
   // PI Information
   const piInfo = extractPIInfo(award);
   console.log(chalk.dim("─".repeat(70)));
-  console.log(`${chalk.cyan("PI:")} ${piInfo.piName || "N/A"}`);
+  const roleLabel = award._person ? piInfo.piRole : "PI";
+  console.log(`${chalk.cyan(`${roleLabel}:`)} ${piInfo.piName || "N/A"}`);
   console.log(`${chalk.cyan("Email:")} ${piInfo.piEmail || chalk.dim("N/A")}`);
+  if (piInfo.piEmail) {
+    getContactCheck(award).issues.forEach(({ severity, message }) => {
+      const color = severity === "error" ? chalk.red : chalk.yellow;
+      console.log(color(`⚠️  ${message}`));
+    });
+  }
   console.log(`${chalk.cyan("Institution:")} ${piInfo.institution || "N/A"}`);
+  const recent = getRecentContact(contacts, award, cooldownDays);
+  if (recent) {
+    const color = recent.blocking ? chalk.yellow : chalk.dim;
+    console.log(color(`⚠️  ${recent.reason}`));
+  }
+
+  // Collaborative project siblings
+  if (award._group) {
+    console.log(chalk.dim("─".repeat(70)));
+    console.log(
+      `${chalk.magenta("Collaborative:")} ${describeGroupPosition(award)}`
+    );
+    award._group.members
+      .filter((m) => m.award_id !== String(awardId))
+      .forEach((m) => {
+        const status = processedIds.has(m.award_id)
+          ? chalk.yellow(" (already in pipeline)")
+          : "";
+        console.log(
+          chalk.dim(`   ${m.award_id}  ${m.pi_name}, ${m.institution}`) + status
+        );
+      });
+  }
 
-  // Abstract preview
+  // Fit score (see score.js) and abstract preview
   const abstract = award.awd_abstract_narration || award.abstractText || "";
+  if (award._fit || abstract) console.log(chalk.dim("─".repeat(70)));
+  if (award._fit) {
+    const color =
+      award._fit.score >= 7
+        ? chalk.green
+        : award._fit.score >= 4
+        ? chalk.yellow
+        : chalk.red;
+    console.log(
+      `${chalk.cyan("Fit:")} ${color(`${award._fit.score}/10`)} ` +
+        chalk.dim(award._fit.rationale)
+    );
+  }
   if (abstract) {
-    console.log(chalk.dim("─".repeat(70)));
     console.log(chalk.cyan("Abstract:"));
-    // Show first 500 chars of abstract
+    // Show 500 chars of abstract, starting near the first match if it's
+    // further in
+    let start = 0;
+    if (matchRegex) {
+      matchRegex.lastIndex = 0;
+      const first = matchRegex.exec(abstract);
+      if (first && first.index > 400) {
+        start = abstract.lastIndexOf(" ", first.index - 150) + 1;
+      }
+    }
+    const snippet = abstract.substring(start, start + 500);
     const preview =
-      abstract.length > 500
-        ? abstract.substring(0, 500) + chalk.dim("...")
-        : abstract;
+      (start > 0 ? chalk.dim("...") : "") +
+      highlight(snippet, matchRegex) +
+      (start + 500 < abstract.length ? chalk.dim("...") : "");
     console.log(preview);
   }
 
@@ -59,7 +171,7 @@ function displayAward(award, index, total, year) {
   }
 
   // Show if already in staging
-  const stagingPath = path.join(DIRS.staging, `${awardId}.json`);
+  const stagingPath = path.join(DIRS.staging, `${getTargetId(award)}.json`);
   const inStaging = fs.existsSync(stagingPath);
   if (inStaging) {
     console.log(chalk.dim("─".repeat(70)));
@@ -83,20 +195,50 @@ function displayAward(award, index, total, year) {
 }
 
 /**
- * Interactive explore session for raw awards
+ * Interactive explore session for raw awards. With like (seed awards), the
+ * awards are shown most similar first (see embeddings.js).
  */
-export async function startExplore(year = "2025", keywords = []) {
+export async function startExplore(
+  year = "2025",
+  query = null,
+  filters = null,
+  groupPolicy = "all",
+  role = "pi",
+  like = null
+) {
   ensureDirs();
 
-  // Load awards
-  const awards = loadAwards(year, keywords);
+  // Load awards (in relevance order when there's a query), one entry per
+  // targeted person
+  const processedIds = getProcessedAwardIds();
+  const contacts = buildContactRegistry();
+  const cooldownDays = getCooldownDays();
+  let awards = applyGroupPolicy(
+    loadAwards(year, query, filters),
+    groupPolicy,
+    processedIds
+  );
+  if (like) {
+    try {
+      awards = await rankBySimilarity(awards, like, {
+        onProgress: ({ completed, total }) =>
+          console.log(chalk.dim(`   Embedded ${completed}/${total}`)),
+      });
+    } catch (err) {
+      console.log(chalk.red(`\n❌ ${err.message}\n`));
+      process.exitCode = 1;
+      return;
+    }
+  }
+  awards = expandTargets(awards, role);
 
   if (awards.length === 0) {
+    const filterText = describeFilters(filters);
     console.log(
       chalk.yellow(
         `\n📭 No awards found for ${year}${
-          keywords.length > 0 ? ` with keywords: ${keywords.join(", ")}` : ""
-        }\n`
+          query ? ` with keywords: ${query.source}` : ""
+        }${filterText ? ` (${filterText})` : ""}\n`
       )
     );
     return;
@@ -124,7 +266,15 @@ export async function startExplore(year = "2025", keywords = []) {
     if (currentIndex < 0) {
       currentIndex = 0;
     }
-    displayAward(awards[currentIndex], currentIndex, awards.length, year);
+    displayAward(
+      awards[currentIndex],
+      currentIndex,
+      awards.length,
+      year,
+      processedIds,
+      contacts,
+      cooldownDays
+    );
     return true;
   };
 
@@ -184,17 +334,28 @@ export async function startExplore(year = "2025", keywords = []) {
         }
 
         try {
-          const stagingPath = path.join(DIRS.staging, `${awardId}.json`);
+          const targetId = getTargetId(current);
+          const stagingPath = path.join(DIRS.staging, `${targetId}.json`);
+
+          // Stage the full award file, not the trimmed index entry; from
+          // the entry keep only runtime annotations like _person and _group
+          const { _matchedTerms, _vector, ...award } = current;
+          INDEX_FIELDS.forEach((key) => delete award[key]);
+          const annotations = Object.fromEntries(
+            Object.entries(award).filter(([key]) => key.startsWith("_"))
+          );
+          const fullAward = loadAward(current._id, year) || award;
 
           // Add metadata about when it was staged
           const awardToSave = {
-            ...current,
+            ...fullAward,
+            ...annotations,
             _staged_at: new Date().toISOString(),
             _staged_from_year: year,
           };
 
           writeJson(stagingPath, awardToSave);
-          console.log(chalk.green(`\n✅ Saved ${awardId} to staging`));
+          console.log(chalk.green(`\n✅ Saved ${targetId} to staging`));
           await new Promise((r) => setTimeout(r, 500));
           refresh();
         } catch (err) {
@@ -249,6 +410,11 @@ export async function startExplore(year = "2025", keywords = []) {
                 reloaded.awd_id || reloaded.awardNumber || awardId;
               reloaded._id = awardId;
               reloaded._year = year;
+              reloaded._score = awards[currentIndex]._score;
+              reloaded._matchedTerms = awards[currentIndex]._matchedTerms;
+              reloaded._group = awards[currentIndex]._group;
+              reloaded._person = awards[currentIndex]._person;
+              reloaded._targetId = awards[currentIndex]._targetId;
               awards[currentIndex] = reloaded;
             }
             refresh();
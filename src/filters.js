@@ -0,0 +1,281 @@
+import { CATEGORIES, UNCLASSIFIED } from "./classify.js";
+
+/**
+ * Split a comma-separated option into trimmed, non-empty values
+ */
+function splitList(value) {
+  if (!value) return [];
+  return value
+    .split(",")
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parse an amount option ("300000", "300k", "1.5m")
+ */
+function parseAmount(value, flag) {
+  if (value === undefined) return null;
+  const match = String(value)
+    .trim()
+    .toLowerCase()
+    .replace(/[$,]/g, "")
+    .match(/^(\d+(?:\.\d+)?)([km])?$/);
+  if (!match) {
+    throw new Error(`Invalid amount for ${flag}: ${value}`);
+  }
+  const multiplier = { k: 1e3, m: 1e6 }[match[2]] || 1;
+  return Number(match[1]) * multiplier;
+}
+
+/**
+ * Parse a YYYY-MM-DD date option
+ */
+function parseDate(value, flag) {
+  if (value === undefined) return null;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(Date.parse(value))) {
+    throw new Error(`Invalid date for ${flag} (use YYYY-MM-DD): ${value}`);
+  }
+  return value;
+}
+
+/**
+ * Register the filter flags on a commander command
+ */
+export function addFilterOptions(command) {
+  return command
+    .option("--directorate <abbrs>", "NSF directorate, e.g. MPS,ENG")
+    .option("--division <abbrs>", "NSF division, e.g. DMR,CBET")
+    .option(
+      "--program <names>",
+      "Program element name or code (substring match, comma-separated)"
+    )
+    .option(
+      "--program-ref <names>",
+      "Program reference text or code (substring match, comma-separated)"
+    )
+    .option("--min-amount <amount>", "Minimum award amount (e.g. 300000, 300k)")
+    .option("--max-amount <amount>", "Maximum award amount")
+    .option("--started-after <date>", "Award start date on/after YYYY-MM-DD")
+    .option("--started-before <date>", "Award start date on/before YYYY-MM-DD")
+    .option("--expires-after <date>", "Award end date on/after YYYY-MM-DD")
+    .option("--expires-before <date>", "Award end date on/before YYYY-MM-DD")
+    .option("--state <codes>", "Institution state code, e.g. PA,NY")
+    .option(
+      "--institution <names>",
+      "Institution name (substring match, comma-separated)"
+    )
+    .option(
+      "--category <names>",
+      `Computational category from classify: ${Object.keys(CATEGORIES).join(
+        ", "
+      )}, or ${UNCLASSIFIED}`
+    )
+    .option(
+      "--min-computational <score>",
+      "Minimum computational score from classify (0-10)"
+    )
+    .option("--min-score <score>", "Minimum fit score from score (0-10)");
+}
+
+/**
+ * Parse --category values, rejecting unknown ones
+ */
+function parseCategories(value) {
+  const categories = splitList(value).map((v) => v.toLowerCase());
+  for (const category of categories) {
+    if (!CATEGORIES[category] && category !== UNCLASSIFIED) {
+      throw new Error(
+        `Unknown category "${category}" (use ${Object.keys(CATEGORIES).join(
+          ", "
+        )}, or ${UNCLASSIFIED})`
+      );
+    }
+  }
+  return categories;
+}
+
+/**
+ * Parse a 0-10 score option
+ */
+function parseScore(value, flag) {
+  if (value === undefined) return null;
+  const score = Number(value);
+  if (String(value).trim() === "" || !(score >= 0 && score <= 10)) {
+    throw new Error(`Invalid score for ${flag} (use 0 to 10): ${value}`);
+  }
+  return score;
+}
+
+/**
+ * Build a filter object from parsed commander options
+ * Throws on malformed amounts or dates
+ */
+export function parseFilters(options = {}) {
+  return {
+    directorates: splitList(options.directorate).map((v) => v.toUpperCase()),
+    divisions: splitList(options.division).map((v) => v.toUpperCase()),
+    programs: splitList(options.program).map((v) => v.toLowerCase()),
+    programRefs: splitList(options.programRef).map((v) => v.toLowerCase()),
+    minAmount: parseAmount(options.minAmount, "--min-amount"),
+    maxAmount: parseAmount(options.maxAmount, "--max-amount"),
+    startedAfter: parseDate(options.startedAfter, "--started-after"),
+    startedBefore: parseDate(options.startedBefore, "--started-before"),
+    expiresAfter: parseDate(options.expiresAfter, "--expires-after"),
+    expiresBefore: parseDate(options.expiresBefore, "--expires-before"),
+    states: splitList(options.state).map((v) => v.toUpperCase()),
+    institutions: splitList(options.institution).map((v) => v.toLowerCase()),
+    categories: parseCategories(options.category),
+    minComputational: parseScore(
+      options.minComputational,
+      "--min-computational"
+    ),
+    minScore: parseScore(options.minScore, "--min-score"),
+  };
+}
+
+/**
+ * Check whether any filter is set
+ */
+export function hasFilters(filters) {
+  if (!filters) return false;
+  return Object.values(filters).some((v) =>
+    Array.isArray(v) ? v.length > 0 : v !== null && v !== undefined
+  );
+}
+
+/**
+ * Check whether any of the award's code/name pairs matches a filter value
+ */
+function matchesAny(items, values) {
+  return items.some(({ code, name }) =>
+    values.some(
+      (v) =>
+        (code && code.toLowerCase() === v) ||
+        (name && name.toLowerCase().includes(v))
+    )
+  );
+}
+
+/**
+ * Check if an award passes every filter that is set
+ */
+export function matchesFilters(award, filters) {
+  if (!hasFilters(filters)) return true;
+  const f = filters;
+
+  if (
+    f.directorates.length > 0 &&
+    !f.directorates.includes((award.dir_abbr || "").toUpperCase())
+  ) {
+    return false;
+  }
+
+  if (
+    f.divisions.length > 0 &&
+    !f.divisions.includes((award.div_abbr || "").toUpperCase())
+  ) {
+    return false;
+  }
+
+  if (f.programs.length > 0) {
+    const programs = (award.pgm_ele || []).map((p) => ({
+      code: p.pgm_ele_code,
+      name: p.pgm_ele_name,
+    }));
+    if (!matchesAny(programs, f.programs)) return false;
+  }
+
+  if (f.programRefs.length > 0) {
+    const refs = (award.pgm_ref || []).map((p) => ({
+      code: p.pgm_ref_code,
+      name: p.pgm_ref_txt,
+    }));
+    if (!matchesAny(refs, f.programRefs)) return false;
+  }
+
+  if (f.minAmount !== null || f.maxAmount !== null) {
+    const amount = award.awd_amount ?? award.tot_intn_awd_amt ?? null;
+    if (amount === null) return false;
+    if (f.minAmount !== null && amount < f.minAmount) return false;
+    if (f.maxAmount !== null && amount > f.maxAmount) return false;
+  }
+
+  // ISO dates compare correctly as strings
+  const start = award.awd_eff_date || "";
+  if (f.startedAfter && (!start || start < f.startedAfter)) return false;
+  if (f.startedBefore && (!start || start > f.startedBefore)) return false;
+
+  const end = award.awd_exp_date || "";
+  if (f.expiresAfter && (!end || end < f.expiresAfter)) return false;
+  if (f.expiresBefore && (!end || end > f.expiresBefore)) return false;
+
+  if (
+    f.states.length > 0 &&
+    !f.states.includes((award.inst?.inst_state_code || "").toUpperCase())
+  ) {
+    return false;
+  }
+
+  if (f.institutions.length > 0) {
+    const inst = (
+      award.inst?.inst_name ||
+      award.awardeeName ||
+      ""
+    ).toLowerCase();
+    if (!f.institutions.some((name) => inst.includes(name))) return false;
+  }
+
+  // Classifications come from the classify command (see classify.js)
+  const classification = award._classification;
+  if (
+    f.categories.length > 0 &&
+    !f.categories.includes(classification?.category || UNCLASSIFIED)
+  ) {
+    return false;
+  }
+  if (
+    f.minComputational !== null &&
+    !(classification?.computational_score >= f.minComputational)
+  ) {
+    return false;
+  }
+
+  // Fit scores come from the score command (see score.js)
+  if (f.minScore !== null && !(award._fit?.score >= f.minScore)) return false;
+
+  return true;
+}
+
+/**
+ * Describe active filters for display, e.g. "directorate=MPS, min amount=$300,000"
+ */
+export function describeFilters(filters) {
+  if (!hasFilters(filters)) return "";
+  const f = filters;
+  const parts = [];
+
+  if (f.directorates.length)
+    parts.push(`directorate=${f.directorates.join("|")}`);
+  if (f.divisions.length) parts.push(`division=${f.divisions.join("|")}`);
+  if (f.programs.length) parts.push(`program~${f.programs.join("|")}`);
+  if (f.programRefs.length)
+    parts.push(`program ref~${f.programRefs.join("|")}`);
+  if (f.minAmount !== null)
+    parts.push(`min amount=$${f.minAmount.toLocaleString()}`);
+  if (f.maxAmount !== null)
+    parts.push(`max amount=$${f.maxAmount.toLocaleString()}`);
+  if (f.startedAfter) parts.push(`started after ${f.startedAfter}`);
+  if (f.startedBefore) parts.push(`started before ${f.startedBefore}`);
+  if (f.expiresAfter) parts.push(`expires after ${f.expiresAfter}`);
+  if (f.expiresBefore) parts.push(`expires before ${f.expiresBefore}`);
+  if (f.states.length) parts.push(`state=${f.states.join("|")}`);
+  if (f.institutions.length)
+    parts.push(`institution~${f.institutions.join("|")}`);
+  if (f.categories.length) parts.push(`category=${f.categories.join("|")}`);
+  if (f.minComputational !== null)
+    parts.push(`computational>=${f.minComputational}`);
+  if (f.minScore !== null) parts.push(`fit>=${f.minScore}`);
+
+  return parts.join(", ");
+}
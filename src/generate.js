@@ -1,17 +1,30 @@
 import fs from "fs";
 import path from "path";
-import Anthropic from "@anthropic-ai/sdk";
 import { DIRS, writeJson, ensureDirs, listIds } from "./utils.js";
-import { extractPIInfo, hasValidContact } from "./awards.js";
-
-let client = null;
-
-function getClient() {
-  if (!client) {
-    client = new Anthropic();
-  }
-  return client;
-}
+import {
+  extractPIInfo,
+  hasValidContact,
+  getTargetId,
+  findAward,
+  expandTargets,
+} from "./awards.js";
+import { getCollaborativeRecord } from "./collab.js";
+import { getLLMConfig, createProvider, getTemperatureConflict } from "./llm.js";
+import { runPool, withRetry, createRateLimiter } from "./concurrency.js";
+import { getCost, createUsageTracker } from "./costs.js";
+import { loadPrompt } from "./prompts.js";
+import { createVariantSelector } from "./bandit.js";
+import { VARIANT_DIMENSIONS } from "./outcomes.js";
+import { lintEmail, formatLintFeedback, describeLintRules } from "./lint.js";
+import { judgeCandidates } from "./judge.js";
+import { createRandom, shuffleArray } from "./random.js";
+import { CATEGORIES } from "./classify.js";
+import {
+  parseName,
+  getSalutation,
+  getSalutationPolicy,
+  applySalutation,
+} from "./names.js";
 
 /**
  * Load all variants from variants.json
@@ -24,25 +37,6 @@ function loadAllVariants() {
   return JSON.parse(fs.readFileSync(variantsPath, "utf-8"));
 }
 
-/**
- * Randomly select one item from an array
- */
-function randomSelect(arr) {
-  return arr[Math.floor(Math.random() * arr.length)];
-}
-
-/**
- * Shuffle an array using Fisher-Yates algorithm
- */
-function shuffleArray(arr) {
-  const shuffled = [...arr];
-  for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-  }
-  return shuffled;
-}
-
 /**
  * Filter out disabled variants (where enabled === false)
  * Items without an "enabled" field are treated as enabled
@@ -52,46 +46,51 @@ function filterEnabled(items) {
 }
 
 /**
- * Select variants for all three dimensions
+ * Variant selector for a batch (see bandit.js). The mode comes from
+ * options.mode, else the "selection" block in variants.json, else random.
+ * With options.seed, its draws are reproducible.
  */
-function selectVariants() {
+export function getVariantSelector(options = {}) {
   const all = loadAllVariants();
-  const enabledTemplates = filterEnabled(all.templates);
-  const enabledOuroDescriptions = filterEnabled(all.ouro_descriptions);
-  const enabledCallToActions = filterEnabled(all.call_to_actions);
+  const arms = {
+    template: filterEnabled(all.templates),
+    ouro_description: filterEnabled(all.ouro_descriptions),
+    call_to_action: filterEnabled(all.call_to_actions),
+  };
 
-  if (enabledTemplates.length === 0) {
+  if (arms.template.length === 0) {
     throw new Error("No enabled templates available");
   }
-  if (enabledOuroDescriptions.length === 0) {
+  if (arms.ouro_description.length === 0) {
     throw new Error("No enabled ouro_descriptions available");
   }
-  if (enabledCallToActions.length === 0) {
+  if (arms.call_to_action.length === 0) {
     throw new Error("No enabled call_to_actions available");
   }
 
-  return {
-    template: randomSelect(enabledTemplates),
-    ouro_description: randomSelect(enabledOuroDescriptions),
-    call_to_action: randomSelect(enabledCallToActions),
-  };
+  const config = all.selection || {};
+  return createVariantSelector(arms, {
+    mode: options.mode || config.mode,
+    epsilon: config.epsilon,
+    replyWindowDays: config.reply_window_days,
+    random:
+      options.seed !== undefined
+        ? createRandom(`${options.seed}:variants`)
+        : Math.random,
+  });
 }
 
 /**
- * Build the style guidance from selected variants
+ * Lint settings from the "lint" block in variants.json (see lint.js)
  */
-function buildStyleGuide(variants) {
-  const t = variants.template;
-  return {
-    angle: t.angle,
-    tone: t.tone,
-    subject_line_style: t.subject_line_style,
-    sign_off_style: t.sign_off_style,
-    ouro_description: variants.ouro_description.content,
-    call_to_action: variants.call_to_action.content,
-  };
+export function getLintSettings() {
+  return loadAllVariants().lint || {};
 }
 
+// Regenerations for a draft that fails lint, unless variants.json's
+// lint.max_retries or --lint-retries says otherwise
+const DEFAULT_LINT_RETRIES = 2;
+
 /**
  * Tool definition for structured email output
  */
@@ -109,7 +108,7 @@ const EMAIL_TOOL = {
       body: {
         type: "string",
         description:
-          "Email body text - keep under 100 words, use the specified sign-off style",
+          "Email body text - keep to the word limit in the rules, use the specified sign-off style",
       },
     },
     required: ["subject", "body"],
@@ -117,83 +116,268 @@ const EMAIL_TOOL = {
 };
 
 /**
- * Build the generation prompt for Claude
+ * Fields a prompt template can use (see prompts.js): award, pi, lead_pi,
+ * salutation, classification (null until the classify command has tagged
+ * the award; its pain_point is only set by --method llm), the selected template variant, ouro_description,
+ * call_to_action and lint_rules (the lint checks drafts must pass, as
+ * "- " lines)
  */
-function buildPrompt(award, styleGuide) {
+function buildPromptContext(award, variants, salutation, lintSettings) {
   const pi = extractPIInfo(award);
+  const t = variants.template;
 
-  // Extract just the first sentence or two from abstract for context
-  const abstractSnippet = award.abstractText
-    ? award.abstractText
-    : // .split(".").slice(0, 2).join(".") + "."
-      "";
-
-  return `Write a short cold email to an NSF-funded researcher.
-
-Who they are:
-- Name: ${pi.piName}
-- Award title: ${award.title}
-- Context: ${abstractSnippet}
-
-FIRST, figure out their pain points (don't include this analysis in the email):
-- What type of computational work is this? (ML/AI, simulations, pipelines, data analysis, etc.)
-- What's probably hard to share or reproduce? Examples:
-  - ML/AI: model weights, training reproducibility, environment setup
-  - Simulations: large outputs, cluster-specific code, parameter sweeps
-  - Pipelines: dependency hell, "works on my machine", version drift
-  - Data-heavy: files too big for supplements, preprocessing scripts
-  - Multi-site collab: keeping code in sync, different compute environments
-- Pick the most likely pain point for THIS researcher
-
-What Ouro does (put in your own words, don't copy verbatim):
-${styleGuide.ouro_description}
-
-Angle: ${styleGuide.angle}
-Tone: ${styleGuide.tone}
-
-CRITICAL - Language rules:
-- Write like you're texting a colleague
-- Reference their PAIN POINT, not their research topic
-- BAD: "your reactive transport models linking viral dynamics to biogeochemical cycling"
-- GOOD: "simulation code that only runs on your cluster" or "outputs too big for supplementary materials"
-- NO phrases like "addresses a real challenge", "important work", "I'm reaching out because"
-- NEVER say "I've been following your work" or "fascinating stuff"
-- Short sentences. Contractions.
-
-Structure:
-1. Hook: Their likely pain point or a shared frustration (specific to their type of work)
-2. Ouro: What it is and why you built it (one sentence)
-3. Soft ask + holiday note
-
-Keep it under 100 words. Subject line: ${styleGuide.subject_line_style}
-Sign off with: ${styleGuide.sign_off_style}
-
-Use the create_email tool.`;
+  return {
+    salutation,
+    award: {
+      id: award.awardNumber || award._id,
+      title: award.title,
+      abstract: award.abstractText || "",
+      amount: award.awd_amount || award.tot_intn_awd_amt || null,
+    },
+    pi: {
+      name: pi.piName,
+      first_name: pi.piNameParts.preferred,
+      last_name: pi.piNameParts.last,
+      role: pi.piRole,
+      is_co_pi: Boolean(award._person),
+      institution: pi.institution,
+    },
+    // Co-PIs didn't lead the proposal; prompts can mention who did
+    lead_pi: {
+      name: award._person
+        ? extractPIInfo({ ...award, _person: undefined }).piName
+        : pi.piName,
+    },
+    classification: award._classification
+      ? {
+          category: award._classification.category,
+          category_label: CATEGORIES[award._classification.category],
+          computational_score: award._classification.computational_score,
+          method: award._classification.method,
+          // Keyword rules only have one stock sentence per category, which
+          // would give every award in it the same hook
+          pain_point:
+            award._classification.method === "llm"
+              ? award._classification.pain_point
+              : null,
+        }
+      : null,
+    template: {
+      id: t.id,
+      name: t.name,
+      angle: t.angle,
+      tone: t.tone,
+      subject_line_style: t.subject_line_style,
+      sign_off_style: t.sign_off_style,
+      notes: t.notes || "",
+    },
+    ouro_description: variants.ouro_description.content,
+    call_to_action: variants.call_to_action.content,
+    lint_rules: describeLintRules(lintSettings),
+  };
 }
 
 /**
- * Check if an award has already been processed (draft, approved, sent, or skipped)
+ * Check if a draft ID has already been processed (draft, approved, sent, or
+ * skipped)
  */
-function isAlreadyProcessed(awardId) {
+function isAlreadyProcessed(draftId) {
   const processed = new Set([
     ...listIds("drafts"),
     ...listIds("approved"),
     ...listIds("sent"),
     ...listIds("skipped"),
   ]);
-  return processed.has(awardId);
+  return processed.has(draftId);
+}
+
+/**
+ * Put the greeting on a model's body and make sure a bare closing word
+ * ("Best") gets its comma
+ */
+function finishBody(text, salutation) {
+  const body = applySalutation(text.trim(), salutation);
+  const commonClosings = ["Best", "Cheers", "Thanks", "Regards", "Sincerely"];
+  const lines = body.split("\n");
+  const lastLine = lines[lines.length - 1].trim();
+  const lastWord = lastLine
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .pop();
+
+  // If the last line ends with a closing word but no comma, add one
+  if (commonClosings.includes(lastWord) && !lastLine.endsWith(",")) {
+    lines[lines.length - 1] = lastLine + ",";
+    return lines.join("\n");
+  }
+  return body;
+}
+
+const SIGNATURE_URL = "https://ouro.foundation";
+
+/**
+ * Signature block appended to every body: the sender's name (or "Building
+ * Ouro") and the website
+ */
+function buildSignature(senderName) {
+  const firstName = parseName({ full: senderName }).first;
+  return firstName
+    ? `\n\n${senderName}\n${SIGNATURE_URL}`
+    : `\n\nBuilding Ouro\n${SIGNATURE_URL}`;
+}
+
+/**
+ * Take the signature block back off a saved body
+ */
+function stripSignature(body) {
+  const lines = body.trimEnd().split("\n");
+  if (lines[lines.length - 1].trim() !== SIGNATURE_URL) return body;
+  return lines.slice(0, -2).join("\n").trimEnd();
 }
 
 /**
- * Extract first name from full name
+ * Lint a saved draft's subject and body, e.g. after a reviewer edits it
  */
-function getFirstName(fullName) {
-  if (!fullName) return "";
-  return fullName.split(" ")[0];
+export function lintDraft({ subject, body }, lintSettings = getLintSettings()) {
+  return lintEmail({ subject, body: stripSignature(body) }, lintSettings);
 }
 
 /**
- * Generate an email draft for a single award
+ * Instructions appended to the prompt when a reviewer asks for a new
+ * version of a draft: their feedback and the draft itself
+ */
+function formatRevisionRequest({ feedback, subject, body }) {
+  return `A reviewer read your previous draft and asked for changes. Write a new version that follows their feedback and keeps everything else in the instructions above.
+
+Reviewer feedback: ${feedback}
+
+Previous draft:
+Subject: ${subject}
+
+${stripSignature(body)}`;
+}
+
+// Ways to vary the candidates when generating several per award
+export const CANDIDATE_MODES = {
+  variants: "A different variant pick for each candidate",
+  temperature: "The same variants, sampled at a higher temperature",
+};
+
+// Temperature for candidates in "temperature" mode, unless overridden
+const DEFAULT_CANDIDATE_TEMPERATURE = 1;
+
+// Re-picks before settling for a variant combination that's already taken
+const MAX_DISTINCT_PICKS = 10;
+
+/**
+ * Variant picks for each candidate: the same pick repeated in temperature
+ * mode, otherwise separate picks that differ where the selector allows.
+ * random and slot are passed to the selector (see bandit.js); candidates
+ * take consecutive slots.
+ */
+function pickCandidateVariants(selector, count, mode, { random, slot }) {
+  const draw = (i) =>
+    selector.select({
+      random,
+      slot: slot === undefined ? undefined : slot * count + i,
+    });
+  if (mode === "temperature") {
+    return Array(count).fill(draw(0));
+  }
+
+  const picks = [];
+  const seen = new Set();
+  while (picks.length < count) {
+    let variants;
+    let key;
+    for (let tries = 0; tries < MAX_DISTINCT_PICKS; tries++) {
+      variants = draw(picks.length);
+      key = Object.values(variants)
+        .map((v) => v.id)
+        .join("/");
+      if (!seen.has(key)) break;
+    }
+    seen.add(key);
+    picks.push(variants);
+  }
+  return picks;
+}
+
+/**
+ * Draft one candidate for a prompt, regenerating while it fails lint (see
+ * lint.js). Returns { subject, body, lint, usage } with the body before the
+ * signature.
+ */
+async function draftCandidate(prompt, options) {
+  const {
+    provider,
+    salutation,
+    temperature,
+    lintSettings,
+    lintRetries,
+    onRegenerate,
+  } = options;
+
+  const usage = { input_tokens: 0, output_tokens: 0, thinking_tokens: 0 };
+  let request = prompt;
+  let attempts = 0;
+  let emailData;
+  let body;
+  let violations;
+  for (;;) {
+    attempts++;
+    const result = await provider.generate({
+      prompt: request,
+      tool: EMAIL_TOOL,
+      temperature,
+    });
+    for (const key of Object.keys(usage)) {
+      usage[key] += result.usage?.[key] || 0;
+    }
+
+    emailData = result.output;
+    if (!emailData.subject || !emailData.body) {
+      throw new Error("Response missing subject or body");
+    }
+
+    body = finishBody(emailData.body, salutation);
+    violations = lintEmail({ subject: emailData.subject, body }, lintSettings);
+    if (violations.length === 0 || attempts > lintRetries) break;
+
+    if (onRegenerate) {
+      onRegenerate({ attempt: attempts, violations });
+    }
+    request = `${prompt}\n\n${formatLintFeedback(violations, {
+      subject: emailData.subject,
+      body,
+    })}`;
+  }
+
+  return {
+    subject: emailData.subject,
+    body,
+    lint: { violations, attempts },
+    usage,
+  };
+}
+
+/**
+ * Generate an email draft for a single award. Drafts that fail lint (see
+ * lint.js) are regenerated with the problems fed back, up to lintRetries
+ * times; onRegenerate({ candidate, attempt, violations }) is called before
+ * each one. options.revision ({ feedback, subject, body }) asks for a new
+ * version of an existing draft instead (see regenerateDraft), and
+ * options.greeting (a greeting line such as "Hi Dr. Jain,") replaces the
+ * one worked out from the salutation policy.
+ *
+ * With options.candidates above 1, several candidates are drafted (see
+ * CANDIDATE_MODES) and kept in the record's candidates; the top-level
+ * subject, body, variants and lint are the one at candidate_index, and
+ * usage covers them all. options.judge has the LLM score the candidates
+ * (see judge.js) and puts the best first.
+ *
+ * options.seed makes the variant picks reproducible, and options.slot (the
+ * award's position in its batch) is what stratified selection deals by.
  */
 export async function generateEmail(award, options = {}) {
   if (!hasValidContact(award)) {
@@ -201,138 +385,558 @@ export async function generateEmail(award, options = {}) {
   }
 
   const awardId = award.awardNumber || award._id;
-  if (isAlreadyProcessed(awardId)) {
+  const draftId = getTargetId(award);
+  if (!options.revision && isAlreadyProcessed(draftId)) {
     throw new Error(
-      `Award ${awardId} has already been processed (draft, approved, sent, or skipped)`
+      `${
+        draftId === awardId ? `Award ${awardId}` : `Draft ${draftId}`
+      } has already been processed (draft, approved, sent, or skipped)`
     );
   }
 
-  const variants = selectVariants();
-  const styleGuide = buildStyleGuide(variants);
-  const prompt = buildPrompt(award, styleGuide);
   const pi = extractPIInfo(award);
 
-  const anthropic = getClient();
-
-  const response = await anthropic.messages.create({
-    model: "claude-sonnet-4-5",
-    max_tokens: 8000,
-    thinking: {
-      type: "enabled",
-      budget_tokens: 4000,
-    },
-    tools: [EMAIL_TOOL],
-    messages: [
-      {
-        role: "user",
-        content: prompt,
-      },
-    ],
-  });
+  // A new version keeps the greeting its draft already has; otherwise a
+  // reviewer's per-contact choice wins over --salutation and .env
+  const salutation =
+    options.greeting ||
+    getSalutation(
+      pi.piNameParts,
+      pi.salutationOverride || options.salutation || getSalutationPolicy()
+    );
 
-  // Extract the tool use response (skip thinking blocks)
-  const toolUse = response.content.find(
-    (c) => c.type === "tool_use" && c.name === "create_email"
-  );
-  if (!toolUse) {
-    throw new Error("No tool use response from Claude");
+  const candidateCount = options.candidates || 1;
+  const candidateMode = options.candidateMode || "variants";
+  if (!CANDIDATE_MODES[candidateMode]) {
+    throw new Error(
+      `Unknown candidate mode "${candidateMode}" (use ${Object.keys(
+        CANDIDATE_MODES
+      ).join(", ")})`
+    );
   }
-
-  const emailData = toolUse.input;
-
-  if (!emailData.subject || !emailData.body) {
-    throw new Error("Response missing subject or body");
+  const temperature =
+    candidateCount > 1 && candidateMode === "temperature"
+      ? options.candidateTemperature ?? DEFAULT_CANDIDATE_TEMPERATURE
+      : undefined;
+
+  const selector = options.selector || getVariantSelector();
+  const promptTemplate = options.prompt || loadPrompt();
+
+  // One provider per batch; a single call builds its own from .env
+  const llm = options.llm || getLLMConfig();
+  const provider = options.provider || createProvider(llm);
+  const temperatureConflict =
+    temperature !== undefined && getTemperatureConflict(llm);
+  if (temperatureConflict) {
+    throw new Error(`Candidate mode "temperature": ${temperatureConflict}`);
   }
+  const lintSettings = options.lintSettings || getLintSettings();
+  const lintRetries =
+    options.lintRetries ?? lintSettings.max_retries ?? DEFAULT_LINT_RETRIES;
 
   // Append signature with name, role and website
   const senderName = options.senderName || process.env.FROM_NAME || "";
-  const firstName = getFirstName(senderName);
-
-  // Ensure closing has a comma if it's a common sign-off word
-  let body = emailData.body.trim();
-  const commonClosings = ["Best", "Cheers", "Thanks", "Regards", "Sincerely"];
-  const lines = body.split("\n");
-  const lastLine = lines[lines.length - 1].trim();
-  const lastWord = lastLine
-    .split(/[\s,]+/)
-    .filter(Boolean)
-    .pop();
-
-  // If the last line ends with a closing word but no comma, add one
-  if (commonClosings.includes(lastWord) && !lastLine.endsWith(",")) {
-    lines[lines.length - 1] = lastLine + ",";
-    body = lines.join("\n");
+  const signature = buildSignature(senderName);
+
+  // Each award draws from its own stream, so its variants don't depend on
+  // which awards happened to be generated before it
+  const candidates = [];
+  const picks = pickCandidateVariants(selector, candidateCount, candidateMode, {
+    random:
+      options.seed !== undefined
+        ? createRandom(`${options.seed}:${draftId}`)
+        : undefined,
+    slot: options.slot,
+  });
+  for (const [i, variants] of picks.entries()) {
+    const rendered = promptTemplate.render(
+      buildPromptContext(award, variants, salutation, lintSettings)
+    );
+    const prompt = options.revision
+      ? `${rendered}\n\n${formatRevisionRequest(options.revision)}`
+      : rendered;
+
+    const candidate = await draftCandidate(prompt, {
+      provider,
+      salutation,
+      temperature,
+      lintSettings,
+      lintRetries,
+      onRegenerate:
+        options.onRegenerate &&
+        ((fields) => options.onRegenerate({ candidate: i + 1, ...fields })),
+    });
+    candidates.push({
+      subject: candidate.subject,
+      body: `${candidate.body}${signature}`,
+      variants: {
+        template_id: variants.template.id,
+        template_name: variants.template.name,
+        ouro_description_id: variants.ouro_description.id,
+        call_to_action_id: variants.call_to_action.id,
+        selection: selector.mode,
+        slot:
+          options.slot === undefined ? null : options.slot * candidateCount + i,
+      },
+      temperature: temperature ?? null,
+      lint: candidate.lint,
+      usage: candidate.usage,
+      cost_usd: getCost(candidate.usage, provider.model),
+      judge: null,
+    });
   }
 
-  const signature = firstName
-    ? `\n\n${senderName}\nhttps://ouro.foundation`
-    : `\n\nBuilding Ouro\nhttps://ouro.foundation`;
-  const bodyWithSignature = `${body}${signature}`;
+  const usage = { input_tokens: 0, output_tokens: 0, thinking_tokens: 0 };
+  const addUsage = (more) => {
+    for (const key of Object.keys(usage)) usage[key] += more?.[key] || 0;
+  };
+  candidates.forEach((c) => addUsage(c.usage));
+
+  // A failed judge call leaves the candidates in generated order
+  let judge = null;
+  if (options.judge && candidates.length > 1) {
+    judge = {
+      provider: provider.name,
+      model: provider.model,
+      usage: null,
+      error: null,
+    };
+    try {
+      const { rankings, usage: judgeUsage } = await judgeCandidates(
+        candidates.map((c) => ({ ...c, body: stripSignature(c.body) })),
+        { provider, awardTitle: award.title, lintSettings }
+      );
+      addUsage(judgeUsage);
+      judge.usage = judgeUsage;
+      const ranked = rankings.map(({ index, score, reason }, rank) => ({
+        ...candidates[index],
+        judge: { rank: rank + 1, score, reason },
+      }));
+      candidates.splice(0, candidates.length, ...ranked);
+    } catch (err) {
+      judge.error = err.message;
+    }
+  }
+  const chosen = candidates[0];
 
   // Build the full email record
   const awardAmount = award.awd_amount || award.tot_intn_awd_amt || null;
+  const collaborative = getCollaborativeRecord(award, {
+    policy: options.groupPolicy,
+    staggerDays: options.staggerDays,
+  });
 
   return {
     award_id: awardId,
+    draft_id: draftId,
     pi_name: pi.piName,
     pi_email: pi.piEmail,
+    pi_nsf_id: pi.piNsfId,
+    pi_role: pi.piRole,
+    salutation,
     institution: pi.institution,
     award_title: award.title,
     award_amount: awardAmount,
-    subject: emailData.subject,
-    body: bodyWithSignature,
-    variants: {
-      template_id: variants.template.id,
-      template_name: variants.template.name,
-      ouro_description_id: variants.ouro_description.id,
-      call_to_action_id: variants.call_to_action.id,
+    subject: chosen.subject,
+    body: chosen.body,
+    variants: chosen.variants,
+    prompt: {
+      name: promptTemplate.name,
+      version: promptTemplate.version,
+      hash: promptTemplate.hash,
+    },
+    llm: {
+      provider: provider.name,
+      model: provider.model,
+      temperature: llm.temperature,
+      thinking_budget: llm.thinkingBudget,
     },
+    lint: chosen.lint,
+    ...(candidates.length > 1 && {
+      candidates,
+      candidate_mode: candidateMode,
+      candidate_index: 0,
+      picked_candidate: null,
+      judge,
+    }),
+    usage,
+    cost_usd: getCost(usage, provider.model),
+    campaign: options.campaign || null,
+    seed: options.seed ?? null,
+    classification: award._classification
+      ? {
+          category: award._classification.category,
+          computational_score: award._classification.computational_score,
+          pain_point: award._classification.pain_point,
+          method: award._classification.method,
+        }
+      : null,
+    fit: award._fit
+      ? { score: award._fit.score, rationale: award._fit.rationale }
+      : null,
+    collaborative,
     generated_at: new Date().toISOString(),
     sent_at: null,
     resend_id: null,
   };
 }
 
+// Fields that make up one version of a draft; earlier versions keep these
+// in the draft's history
+const VERSION_FIELDS = [
+  "subject",
+  "body",
+  "salutation",
+  "variants",
+  "prompt",
+  "llm",
+  "lint",
+  "usage",
+  "cost_usd",
+  "generated_at",
+  "feedback",
+  "human_edit",
+];
+
 /**
- * Save a generated email to the drafts folder
+ * Look up the variants a draft was generated with in variants.json, for
+ * regenerating with the same ones (disabled variants included)
+ */
+function getPinnedVariants(recorded = {}) {
+  const all = loadAllVariants();
+  return Object.fromEntries(
+    Object.entries(VARIANT_DIMENSIONS).map(([dimension, field]) => {
+      const id = recorded[field] ?? recorded[dimension];
+      const item = (all[`${dimension}s`] || []).find((v) => v.id === id);
+      if (!item) {
+        throw new Error(
+          `The draft's ${dimension} variant (${id}) is no longer in variants.json; re-roll the variants instead`
+        );
+      }
+      return [dimension, item];
+    })
+  );
+}
+
+/**
+ * Regenerate a draft with a reviewer's feedback ("less salesy, mention
+ * their GPU simulations"). The model gets the draft's prompt (by name), the
+ * previous version and the feedback. Variants are pinned unless reroll is
+ * set, in which case they're picked again like a new draft.
+ *
+ * Returns the updated record, with the previous version pushed onto
+ * history; the caller saves it. Other options are passed to generateEmail;
+ * llm defaults to the provider and model the draft was generated with.
+ */
+export async function regenerateDraft(email, options = {}) {
+  const { feedback, reroll = false, ...generateOptions } = options;
+  if (!feedback?.trim()) {
+    throw new Error("Feedback is required to regenerate a draft");
+  }
+
+  const award = findAward(email.award_id);
+  if (!award) {
+    throw new Error(
+      `Award ${email.award_id} not found in ${DIRS.staging}/ or ${DIRS.awards}/`
+    );
+  }
+  const draftId = email.draft_id || email.award_id;
+  const target = expandTargets([award], "all").find(
+    (t) => getTargetId(t) === draftId
+  );
+  if (!target) {
+    throw new Error(
+      `${draftId} is no longer listed on award ${email.award_id}`
+    );
+  }
+
+  const pinned = reroll ? null : getPinnedVariants(email.variants);
+  const selector = pinned
+    ? { mode: email.variants?.selection || "pinned", select: () => pinned }
+    : getVariantSelector();
+
+  const llm =
+    generateOptions.llm ||
+    getLLMConfig({
+      provider: email.llm?.provider,
+      model: email.llm?.model,
+      temperature: email.llm?.temperature,
+      thinkingBudget: email.llm?.thinking_budget,
+    });
+
+  const next = await generateEmail(target, {
+    campaign: email.campaign,
+    ...generateOptions,
+    llm,
+    selector,
+    prompt: generateOptions.prompt || loadPrompt(email.prompt?.name),
+    // Keep the greeting it was generated with (or fixed to in review)
+    greeting: generateOptions.greeting || email.salutation,
+    revision: {
+      feedback: feedback.trim(),
+      subject: email.subject,
+      body: email.body,
+    },
+  });
+
+  const previous = Object.fromEntries(
+    VERSION_FIELDS.map((field) => [field, email[field] ?? null])
+  );
+  const updated = {
+    ...email,
+    ...Object.fromEntries(VERSION_FIELDS.map((field) => [field, next[field]])),
+    feedback: feedback.trim(),
+    history: [...(email.history || []), previous],
+  };
+
+  // The new version takes the place of the candidate it was made from
+  if (email.candidates) {
+    updated.candidates = email.candidates.map((candidate, i) =>
+      i === email.candidate_index
+        ? {
+            ...candidate,
+            subject: next.subject,
+            body: next.body,
+            variants: next.variants,
+            lint: next.lint,
+            usage: next.usage,
+            cost_usd: next.cost_usd,
+            judge: null,
+          }
+        : candidate
+    );
+  }
+  return updated;
+}
+
+/**
+ * Save a generated email to the drafts folder (as <award>-<person>.json for
+ * co-PI targets)
  */
 export function saveDraft(email) {
   ensureDirs();
-  const filepath = path.join(DIRS.drafts, `${email.award_id}.json`);
+  const id = email.draft_id || email.award_id;
+  const filepath = path.join(DIRS.drafts, `${id}.json`);
   writeJson(filepath, email);
   return filepath;
 }
 
 /**
- * Generate emails for multiple awards
+ * Rough token estimate for a request, for the per-minute token budget:
+ * prompt at ~4 characters per token plus room for thinking and the email
+ */
+function estimateTokens(prompt, llm) {
+  return Math.ceil(prompt.length / 4) + (llm.thinkingBudget || 0) + 500;
+}
+
+/**
+ * Wrap a provider so every call waits for the rate limiter and retries
+ * transient errors with backoff. onUsage gets the usage of every call that
+ * returned any, including retried and failed ones.
+ */
+function withRateLimits(
+  provider,
+  { llm, limiter, retries, signal, onRetry, onUsage }
+) {
+  return {
+    ...provider,
+    generate: (request) =>
+      withRetry(
+        async () => {
+          const ticket = await limiter.acquire(
+            estimateTokens(request.prompt, llm),
+            signal
+          );
+          try {
+            const result = await provider.generate(request);
+            ticket.settle(
+              (result.usage?.input_tokens || 0) +
+                (result.usage?.output_tokens || 0)
+            );
+            onUsage?.(result.usage);
+            return result;
+          } catch (err) {
+            ticket.settle(
+              (err.usage?.input_tokens || 0) + (err.usage?.output_tokens || 0)
+            );
+            if (err.usage) onUsage?.(err.usage);
+            throw err;
+          }
+        },
+        { retries, signal, onRetry }
+      ),
+  };
+}
+
+/**
+ * Generate emails for multiple awards, up to `concurrency` at a time.
+ * Transient API errors are retried with backoff (respecting retry-after),
+ * and requests/tokens per minute stay within the budget.
+ * When `signal` aborts, in-flight drafts finish and are saved but no new
+ * ones start; results.interrupted is then set. Reaching maxSpend (dollars)
+ * or maxTokens stops the batch the same way and sets results.limitReached.
+ * results.usage has the run's token and dollar totals, counting every
+ * provider call: lint regenerations, the judge, and calls for drafts that
+ * then failed.
+ * With a journal (see runs.js), the selection and each award's outcome are
+ * recorded as the run goes.
+ *
+ * onProgress is called as each award finishes (in completion order), with
+ * { completed, total, awardId, score, fit, status, error, cost,
+ * violations },
+ * with status "retry" (plus attempt and delayMs) before each retry wait,
+ * and with status "regenerate" (plus candidate, attempt and violations)
+ * before a draft that failed lint is regenerated.
+ * candidates, candidateMode, candidateTemperature and judge are passed to
+ * generateEmail. With a seed, the award order and each award's variants
+ * come out the same every time (see random.js).
  */
 export async function generateEmails(awards, options = {}) {
-  const { limit = 10, onProgress, senderName } = options;
+  const {
+    limit = 10,
+    ranked = false,
+    onProgress,
+    senderName,
+    salutation,
+    groupPolicy,
+    staggerDays,
+    llm = getLLMConfig(),
+    concurrency = 1,
+    requestsPerMinute = 0,
+    tokensPerMinute = 0,
+    retries = 4,
+    maxSpend = 0,
+    maxTokens = 0,
+    campaign,
+    prompt = loadPrompt(),
+    seed,
+    selector = getVariantSelector({ seed }),
+    lintSettings = getLintSettings(),
+    lintRetries,
+    candidates,
+    candidateMode,
+    candidateTemperature,
+    judge,
+    journal,
+    signal,
+  } = options;
   const results = {
     generated: [],
     errors: [],
+    interrupted: false,
+    limitReached: null,
+    notStarted: 0,
+    usage: null,
   };
 
-  // Shuffle awards to randomize processing order
-  const shuffled = shuffleArray(awards);
-  const toProcess = shuffled.slice(0, limit);
-
-  for (let i = 0; i < toProcess.length; i++) {
-    const award = toProcess[i];
-    const awardId = award.awardNumber || award._id;
+  // Ranked awards (keyword query or --by-score) are already in order - take
+  // the top N. Otherwise shuffle to randomize processing order.
+  const ordered = ranked
+    ? awards
+    : shuffleArray(
+        awards,
+        seed !== undefined ? createRandom(`${seed}:awards`) : Math.random
+      );
+  const toProcess = ordered.slice(0, limit);
+  journal?.select(toProcess);
+  const limiter = createRateLimiter({ requestsPerMinute, tokensPerMinute });
+  const tracker = createUsageTracker({ maxSpend, maxTokens });
+  let completed = 0;
+
+  // Hitting a spend cap stops new drafts like Ctrl-C, but doesn't cut short
+  // the retries of drafts already in flight
+  const budget = new AbortController();
+  const stop = signal
+    ? AbortSignal.any([signal, budget.signal])
+    : budget.signal;
+
+  const started = await runPool(
+    toProcess,
+    async (award, slot) => {
+      const awardId = getTargetId(award);
+      const report = (fields) => {
+        if (onProgress) {
+          onProgress({
+            completed,
+            total: toProcess.length,
+            awardId,
+            score: award._score,
+            fit: award._fit?.score,
+            ...fields,
+          });
+        }
+      };
+
+      const provider = withRateLimits(createProvider(llm), {
+        llm,
+        limiter,
+        retries,
+        signal,
+        onRetry: ({ attempt, delayMs, error }) =>
+          report({ status: "retry", attempt, delayMs, error: error.message }),
+        onUsage: (usage) => {
+          const reached = tracker.add(usage, getCost(usage, llm.model));
+          if (reached && !budget.signal.aborted) {
+            results.limitReached = reached;
+            budget.abort();
+          }
+        },
+      });
+
+      journal?.start(awardId);
+      try {
+        const email = await generateEmail(award, {
+          senderName,
+          salutation,
+          groupPolicy,
+          staggerDays,
+          llm,
+          provider,
+          campaign,
+          prompt,
+          selector,
+          lintSettings,
+          lintRetries,
+          candidates,
+          candidateMode,
+          candidateTemperature,
+          judge,
+          seed,
+          slot,
+          onRegenerate: ({ candidate, attempt, violations }) =>
+            report({ status: "regenerate", candidate, attempt, violations }),
+        });
+        const filepath = saveDraft(email);
+        completed++;
+        results.generated.push({
+          awardId,
+          filepath,
+          violations: email.lint.violations,
+        });
+        journal?.finish(awardId, { status: "generated", filepath });
+        report({
+          status: "generated",
+          cost: email.cost_usd,
+          violations: email.lint.violations,
+        });
+      } catch (err) {
+        completed++;
+        results.errors.push({ awardId, error: err.message });
+        journal?.finish(awardId, { status: "error", error: err.message });
+        report({ status: "error", error: err.message });
+      }
+    },
+    { concurrency, signal: stop }
+  );
 
-    if (onProgress) {
-      onProgress({ current: i + 1, total: toProcess.length, awardId });
-    }
+  results.notStarted = toProcess.length - started;
+  results.interrupted = Boolean(signal?.aborted);
+  results.usage = tracker.totals;
 
-    try {
-      const email = await generateEmail(award, { senderName });
-      const filepath = saveDraft(email);
-      results.generated.push({ awardId, filepath });
-    } catch (err) {
-      results.errors.push({ awardId, error: err.message });
-    }
-  }
+  let status = "completed";
+  if (results.interrupted) status = "interrupted";
+  else if (results.limitReached) status = "limit_reached";
+  journal?.end(status, { usage: tracker.totals });
 
   return results;
 }
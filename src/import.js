@@ -0,0 +1,429 @@
+import fs from "fs";
+import path from "path";
+import { isDeepStrictEqual } from "util";
+import AdmZip from "adm-zip";
+import { glob } from "glob";
+import { XMLParser } from "fast-xml-parser";
+import { DIRS, readJson, writeJson } from "./utils.js";
+import { getAvailableYears } from "./awards.js";
+
+// Elements that can repeat inside a legacy NSF <Award> record
+const XML_ARRAY_TAGS = new Set([
+  "Award",
+  "Investigator",
+  "ProgramElement",
+  "ProgramReference",
+  "Appropriation",
+  "Fund",
+  "FUND_OBLG",
+]);
+
+// Normalized fields that loadAwards adds at runtime
+const RUNTIME_FIELDS = ["title", "abstractText", "awardNumber"];
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: true,
+  parseTagValue: false,
+  trimValues: true,
+  isArray: (name) => XML_ARRAY_TAGS.has(name),
+});
+
+/**
+ * Convert an NSF date (MM/DD/YYYY or YYYY-MM-DD) to YYYY-MM-DD
+ */
+function normalizeDate(value) {
+  if (!value) return null;
+  const str = String(value).trim();
+
+  const us = str.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (us) {
+    return `${us[3]}-${us[1].padStart(2, "0")}-${us[2].padStart(2, "0")}`;
+  }
+
+  const iso = str.match(/^(\d{4}-\d{2}-\d{2})/);
+  return iso ? iso[1] : null;
+}
+
+/**
+ * Parse an amount string ("300000.00") into a number
+ */
+function toAmount(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const num = Number(String(value).replace(/[$,]/g, ""));
+  return Number.isFinite(num) ? num : null;
+}
+
+/**
+ * Read a text value from parsed XML (handles empty tags and <Value> wrappers)
+ */
+function text(value) {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "object") return text(value.Value);
+  return String(value).trim();
+}
+
+/**
+ * Convert a legacy NSF XML <Award> element into the NSF JSON award shape
+ */
+function normalizeXmlAward(xml) {
+  const org = xml.Organization || {};
+  const inst = xml.Institution || {};
+  const perf = xml.Performance_Institution || {};
+  const po = xml.ProgramOfficer || {};
+
+  return {
+    awd_id: text(xml.AwardID),
+    agcy_id: text(xml.AGENCY) || "NSF",
+    tran_type: text(xml.TRAN_TYPE),
+    awd_istr_txt: text(xml.AwardInstrument),
+    awd_titl_txt: text(xml.AwardTitle),
+    cfda_num: text(xml.CFDA_NUM),
+    org_code: text(org.Code),
+    po_phone: text(po.PO_PHON),
+    po_email: text(po.PO_EMAI),
+    po_sign_block_name: text(po.SignBlockName),
+    awd_eff_date: normalizeDate(text(xml.AwardEffectiveDate)),
+    awd_exp_date: normalizeDate(text(xml.AwardExpirationDate)),
+    tot_intn_awd_amt: toAmount(text(xml.AwardTotalIntnAmount)),
+    awd_amount: toAmount(text(xml.AwardAmount)),
+    awd_min_amd_letter_date: normalizeDate(text(xml.MinAmdLetterDate)),
+    awd_max_amd_letter_date: normalizeDate(text(xml.MaxAmdLetterDate)),
+    awd_abstract_narration: text(xml.AbstractNarration),
+    awd_arra_amount: toAmount(text(xml.ARRAAmount)) || 0,
+    dir_abbr: text(org.Directorate?.Abbreviation),
+    org_dir_long_name: text(org.Directorate?.LongName),
+    div_abbr: text(org.Division?.Abbreviation),
+    org_div_long_name: text(org.Division?.LongName),
+    awd_agcy_code: text(xml.AWDG_AGCY_CODE),
+    fund_agcy_code: text(xml.FUND_AGCY_CODE),
+    pi: (xml.Investigator || []).map((inv) => {
+      const first = text(inv.FirstName);
+      const last = text(inv.LastName);
+      return {
+        pi_role: text(inv.RoleCode),
+        pi_first_name: first,
+        pi_last_name: last,
+        pi_mid_init: text(inv.PI_MID_INIT),
+        pi_sufx_name: text(inv.PI_SUFX_NAME),
+        pi_full_name: text(inv.PI_FULL_NAME) || `${first} ${last}`.trim(),
+        pi_email_addr: text(inv.EmailAddress),
+        nsf_id: text(inv.NSF_ID),
+        pi_start_date: normalizeDate(text(inv.StartDate)),
+        pi_end_date: normalizeDate(text(inv.EndDate)),
+      };
+    }),
+    inst: {
+      inst_name: text(inst.Name),
+      inst_street_address: text(inst.StreetAddress),
+      inst_street_address_2: text(inst.StreetAddress2),
+      inst_city_name: text(inst.CityName),
+      inst_state_code: text(inst.StateCode),
+      inst_state_name: text(inst.StateName),
+      inst_phone_num: text(inst.PhoneNumber),
+      inst_zip_code: text(inst.ZipCode),
+      inst_country_name: text(inst.CountryName),
+      cong_dist_code: text(inst.CONGRESSDISTRICT),
+      st_cong_dist_code: text(inst.CONGRESS_DISTRICT_ORG),
+      org_lgl_bus_name: text(inst.ORG_LGL_BUS_NAME),
+      org_prnt_uei_num: text(inst.ORG_PRNT_UEI_NUM),
+      org_uei_num: text(inst.ORG_UEI_NUM),
+    },
+    perf_inst: {
+      perf_inst_name: text(perf.Name),
+      perf_str_addr: text(perf.StreetAddress),
+      perf_city_name: text(perf.CityName),
+      perf_st_code: text(perf.StateCode),
+      perf_st_name: text(perf.StateName),
+      perf_zip_code: text(perf.ZipCode),
+      perf_ctry_code: text(perf.CountryCode),
+      perf_cong_dist: text(perf.CONGRESSDISTRICT),
+      perf_st_cong_dist: text(perf.CONGRESS_DISTRICT_PERF),
+      perf_ctry_name: text(perf.CountryName),
+      perf_ctry_flag: text(perf.CountryFlag),
+    },
+    pgm_ele: (xml.ProgramElement || []).map((p) => ({
+      pgm_ele_code: text(p.Code),
+      pgm_ele_name: text(p.Text),
+    })),
+    pgm_ref: (xml.ProgramReference || []).map((p) => ({
+      pgm_ref_code: text(p.Code),
+      pgm_ref_txt: text(p.Text),
+    })),
+    oblg_fy: (xml.FUND_OBLG || [])
+      .map((entry) => text(entry).split("~"))
+      .filter(([year]) => /^\d{4}$/.test(year))
+      .map(([year, amount]) => ({
+        fund_oblg_fiscal_yr: Number(year),
+        fund_oblg_amt: toAmount(amount),
+      })),
+  };
+}
+
+/**
+ * Convert an NSF Award Search API record (camelCase fields) into the NSF JSON award shape
+ */
+function normalizeApiAward(record) {
+  const first = record.piFirstName || "";
+  const last = record.piLastName || "";
+
+  return {
+    awd_id: String(record.id || record.awardNumber || ""),
+    agcy_id: record.agency || "NSF",
+    awd_titl_txt: record.title || "",
+    awd_eff_date: normalizeDate(record.startDate),
+    awd_exp_date: normalizeDate(record.expDate),
+    tot_intn_awd_amt: toAmount(record.estimatedTotalAmt),
+    awd_amount: toAmount(record.fundsObligatedAmt ?? record.estimatedTotalAmt),
+    awd_min_amd_letter_date: normalizeDate(record.date),
+    awd_abstract_narration: record.abstractText || "",
+    dir_abbr: record.dirAbbr || "",
+    div_abbr: record.divAbbr || "",
+    pi: [
+      {
+        pi_role: "Principal Investigator",
+        pi_first_name: first,
+        pi_last_name: last,
+        // (sic) - the API spells it this way
+        pi_mid_init: record.piMiddeInitial || "",
+        pi_sufx_name: "",
+        pi_full_name: `${first} ${last}`.trim(),
+        pi_email_addr: record.piEmail || "",
+        nsf_id: "",
+      },
+      ...(record.coPDPI || []).map((name) => ({
+        pi_role: "Co-Principal Investigator",
+        pi_full_name: String(name).replace(/~\d+$/, "").trim(),
+        pi_email_addr: "",
+      })),
+    ],
+    inst: {
+      inst_name: record.awardeeName || "",
+      inst_city_name: record.awardeeCity || "",
+      inst_state_code: record.awardeeStateCode || "",
+      inst_zip_code: record.awardeeZipCode || "",
+      inst_country_name: record.awardeeCountryCode || "",
+    },
+    pgm_ele: (record.fundProgramName ? [record.fundProgramName] : []).map(
+      (name) => ({ pgm_ele_code: "", pgm_ele_name: name })
+    ),
+  };
+}
+
+/**
+ * Normalize any supported record into the NSF JSON award shape
+ * (the same shape NSF's per-award JSON downloads use)
+ */
+export function normalizeAward(record) {
+  if (!record || typeof record !== "object") return null;
+
+  let award;
+  if (record.awd_id) {
+    award = { ...record, awd_id: String(record.awd_id) };
+  } else if (record.AwardID) {
+    award = normalizeXmlAward(record);
+  } else if (record.id || record.awardNumber) {
+    award = normalizeApiAward(record);
+  } else {
+    return null;
+  }
+
+  // Runtime-only fields added by loadAwards/explore are never persisted
+  for (const key of Object.keys(award)) {
+    if (key.startsWith("_") || RUNTIME_FIELDS.includes(key)) delete award[key];
+  }
+
+  return award.awd_id ? award : null;
+}
+
+/**
+ * Determine the awards/ year folder for an award.
+ * NSF groups its yearly downloads by fiscal year (starting Oct 1) of the
+ * original award letter, so use that and fall back to the effective date.
+ */
+export function getAwardYear(award) {
+  const letterDate = normalizeDate(award.awd_min_amd_letter_date);
+  if (letterDate) {
+    const [year, month] = letterDate.split("-").map(Number);
+    return String(month >= 10 ? year + 1 : year);
+  }
+
+  const effDate = normalizeDate(award.awd_eff_date);
+  return effDate ? effDate.slice(0, 4) : null;
+}
+
+/**
+ * Parse a legacy NSF XML document into award records
+ */
+function parseXml(content) {
+  const doc = xmlParser.parse(content);
+  const root = doc.rootTag || doc;
+  return root.Award || [];
+}
+
+/**
+ * Parse a JSON document (single award or array of awards)
+ */
+function parseJsonDocument(content) {
+  const data = JSON.parse(content);
+  return Array.isArray(data) ? data : [data];
+}
+
+/**
+ * Parse a JSON-lines document (one award per line)
+ */
+function parseJsonLines(content) {
+  return content
+    .split(/\r?\n/)
+    .filter((line) => line.trim())
+    .map((line) => JSON.parse(line));
+}
+
+/**
+ * Parse a file's contents based on its extension
+ */
+function parseEntry(name, content) {
+  const ext = path.extname(name).toLowerCase();
+  if (ext === ".xml") return parseXml(content);
+  if (ext === ".json") return parseJsonDocument(content);
+  if (ext === ".jsonl" || ext === ".ndjson") return parseJsonLines(content);
+  return [];
+}
+
+/**
+ * Read raw award records from a zip, folder, or single file.
+ * Yields { source, records } per file so one bad entry doesn't stop the import.
+ */
+function* readSource(source) {
+  const stat = fs.statSync(source);
+
+  if (stat.isDirectory()) {
+    const files = glob.sync("**/*.{xml,json,jsonl,ndjson,zip}", {
+      cwd: source,
+      nocase: true,
+    });
+    for (const file of files.sort()) {
+      yield* readSource(path.join(source, file));
+    }
+    return;
+  }
+
+  if (path.extname(source).toLowerCase() === ".zip") {
+    const zip = new AdmZip(source);
+    for (const entry of zip.getEntries()) {
+      if (entry.isDirectory) continue;
+      const name = `${source}:${entry.entryName}`;
+      try {
+        yield {
+          source: name,
+          records: parseEntry(
+            entry.entryName,
+            entry.getData().toString("utf-8")
+          ),
+        };
+      } catch (err) {
+        yield { source: name, error: err.message };
+      }
+    }
+    return;
+  }
+
+  try {
+    yield {
+      source,
+      records: parseEntry(source, fs.readFileSync(source, "utf-8")),
+    };
+  } catch (err) {
+    yield { source, error: err.message };
+  }
+}
+
+/**
+ * Find where an award already lives in awards/YYYY, if anywhere
+ */
+function findExistingAward(awardId, years) {
+  for (const year of years) {
+    const filepath = path.join(DIRS.awards, year, `${awardId}.json`);
+    if (fs.existsSync(filepath)) return filepath;
+  }
+  return null;
+}
+
+/**
+ * Import NSF award data into awards/YYYY/<awd_id>.json
+ * Accepts a bulk zip, a folder of XML/JSON files, a JSON-lines export, or a single file.
+ */
+export function importAwards(source, options = {}) {
+  const { year: forcedYear, dryRun = false, onProgress } = options;
+
+  if (!fs.existsSync(source)) {
+    throw new Error(`Source not found: ${source}`);
+  }
+
+  const results = {
+    new: 0,
+    updated: 0,
+    unchanged: 0,
+    skipped: [],
+    errors: [],
+    byYear: {},
+  };
+  const years = getAvailableYears();
+  let processed = 0;
+
+  for (const { source: name, records, error } of readSource(source)) {
+    if (error) {
+      results.errors.push({ source: name, error });
+      continue;
+    }
+
+    for (const record of records) {
+      const award = normalizeAward(record);
+      if (!award) {
+        results.skipped.push({ source: name, reason: "No award ID" });
+        continue;
+      }
+
+      const existingPath = findExistingAward(award.awd_id, years);
+      const year = existingPath
+        ? path.basename(path.dirname(existingPath))
+        : forcedYear || getAwardYear(award);
+
+      if (!year) {
+        results.skipped.push({
+          source: name,
+          awardId: award.awd_id,
+          reason: "No award date",
+        });
+        continue;
+      }
+
+      const filepath =
+        existingPath ||
+        path.join(DIRS.awards, String(year), `${award.awd_id}.json`);
+
+      // Compare as awards, so formatting, key order and runtime fields on
+      // disk don't count as changes
+      let status = "new";
+      if (existingPath) {
+        const existing = normalizeAward(readJson(existingPath));
+        status = isDeepStrictEqual(existing, award) ? "unchanged" : "updated";
+      }
+
+      if (!dryRun && status !== "unchanged") {
+        fs.mkdirSync(path.dirname(filepath), { recursive: true });
+        writeJson(filepath, award);
+        if (!years.includes(String(year))) years.push(String(year));
+      }
+
+      results[status]++;
+      results.byYear[year] = (results.byYear[year] || 0) + 1;
+
+      processed++;
+      if (onProgress && processed % 1000 === 0) {
+        onProgress({ processed });
+      }
+    }
+  }
+
+  return results;
+}
@@ -1,10 +1,18 @@
 #!/usr/bin/env node
 
 import path from "path";
+import readline from "readline/promises";
 import { config } from "dotenv";
 import { Command } from "commander";
 import chalk from "chalk";
-import { ensureDirs, listIds, readJson, DIRS } from "./utils.js";
+import {
+  ensureDirs,
+  listIds,
+  readJson,
+  writeJson,
+  formatDate,
+  DIRS,
+} from "./utils.js";
 import {
   getAvailableYears,
   loadAwards,
@@ -12,10 +20,76 @@ import {
   getScanStats,
   hasValidContact,
   loadStagingAwards,
+  getProcessedAwardIds,
+  getTargetId,
+  filterUnprocessed,
+  extractPIInfo,
+  findAward,
+  TARGET_ROLES,
 } from "./awards.js";
-import { generateEmails } from "./generate.js";
+import { GROUP_POLICIES, applyGroupPolicy } from "./collab.js";
+import {
+  buildContactRegistry,
+  applyContactCooldown,
+  getRecentContact,
+  getCooldownDays,
+  parseCooldownDays,
+} from "./contacts.js";
+import {
+  generateEmails,
+  getVariantSelector,
+  regenerateDraft,
+  CANDIDATE_MODES,
+} from "./generate.js";
+import { SELECTION_MODES } from "./bandit.js";
+import { OUTCOMES, recordOutcome } from "./outcomes.js";
+import { describeViolations } from "./lint.js";
+import {
+  getLLMConfig,
+  getMissingCredentials,
+  getTemperatureConflict,
+} from "./llm.js";
+import { COST_GROUPS, formatCost, getCostReport } from "./costs.js";
+import {
+  RUNTIME_OPTIONS,
+  createRunJournal,
+  loadRun,
+  listRuns,
+  getRunStatus,
+  summarizeRun,
+  getResumeTargets,
+} from "./runs.js";
+import { importAwards } from "./import.js";
+import { rebuildIndex, INDEX_PATH } from "./award-index.js";
+import { validateAwards, ISSUE_TYPES } from "./validate.js";
+import {
+  addFilterOptions,
+  parseFilters,
+  describeFilters,
+  matchesFilters,
+} from "./filters.js";
+import { parseQuery } from "./query.js";
+import { SALUTATIONS, getSalutationPolicy } from "./names.js";
+import { loadPrompt, getPromptName } from "./prompts.js";
+import { createSeed } from "./random.js";
+import {
+  CATEGORIES,
+  CLASSIFY_METHODS,
+  UNCLASSIFIED,
+  classifyAwards,
+  countByCategory,
+  describeCategoryCounts,
+} from "./classify.js";
+import { scoreAwards, sortByFit } from "./score.js";
+import {
+  embedAwards,
+  rankBySimilarity,
+  getEmbeddingModel,
+  getPositiveReplyAwards,
+} from "./embeddings.js";
+import { EMAIL_ISSUES, isMxCheckEnabled } from "./email-check.js";
 import { sendApprovedEmails, getApprovedEmails } from "./send.js";
-import { startReview } from "./review.js";
+import { startReview, SKIP_REASONS } from "./review.js";
 import { startExplore } from "./explore.js";
 
 // Load environment variables
@@ -23,6 +97,160 @@ config();
 
 const program = new Command();
 
+/**
+ * Parse the keyword query and structured award filters, printing an error
+ * for bad values
+ */
+function getSearchOrExit(options) {
+  try {
+    return {
+      query: parseQuery(options.keywords),
+      filters: parseFilters(options),
+    };
+  } catch (err) {
+    console.log(chalk.red(`\n❌ ${err.message}\n`));
+    process.exitCode = 1;
+    return null;
+  }
+}
+
+/**
+ * Check the --collab policy, printing an error for unknown values
+ */
+function isValidGroupPolicy(policy) {
+  if (GROUP_POLICIES[policy]) return true;
+  console.log(
+    chalk.red(
+      `\n❌ Unknown --collab policy "${policy}" (use ${Object.keys(
+        GROUP_POLICIES
+      ).join(", ")})\n`
+    )
+  );
+  process.exitCode = 1;
+  return false;
+}
+
+/**
+ * Print each variant's chance of being picked this run, with its sent and
+ * reply counts
+ */
+function printVariantProbabilities(selector) {
+  console.log(
+    chalk.bold(`Variant selection: ${selector.mode}`) +
+      chalk.dim(` (${SELECTION_MODES[selector.mode]})`)
+  );
+  for (const [dimension, variants] of Object.entries(
+    selector.probabilities()
+  )) {
+    const line = variants
+      .map((v) => {
+        const label = v.name ? `${v.id} ${v.name}` : String(v.id);
+        const stats =
+          selector.mode === "random"
+            ? ""
+            : chalk.dim(
+                v.reply_rate === null
+                  ? ` (${v.sent} sent)`
+                  : ` (${v.sent} sent, ${Math.round(
+                      v.reply_rate * 100
+                    )}% replies)`
+              );
+        return `${label} ${chalk.cyan(
+          `${Math.round(v.probability * 100)}%`
+        )}${stats}`;
+      })
+      .join(", ");
+    console.log(`   ${dimension}: ${line}`);
+  }
+  console.log();
+}
+
+/**
+ * Check the --role option, printing an error for unknown values
+ */
+function isValidRole(role) {
+  if (TARGET_ROLES[role]) return true;
+  console.log(
+    chalk.red(
+      `\n❌ Unknown --role "${role}" (use ${Object.keys(TARGET_ROLES).join(
+        ", "
+      )})\n`
+    )
+  );
+  process.exitCode = 1;
+  return false;
+}
+
+/**
+ * Cooldown in days from --cooldown, else CONTACT_COOLDOWN_DAYS; prints an
+ * error and returns null if it isn't a whole number of days
+ */
+function getCooldownOrExit(value) {
+  try {
+    if (value === undefined) return getCooldownDays();
+    const days = parseCooldownDays(value);
+    if (days === null) {
+      throw new Error(
+        `--cooldown must be a whole number of days (0 for none), not "${value}"`
+      );
+    }
+    return days;
+  } catch (err) {
+    console.log(chalk.red(`\n❌ ${err.message}\n`));
+    process.exitCode = 1;
+    return null;
+  }
+}
+
+/**
+ * Print embedding progress (see embeddings.js)
+ */
+function printEmbedProgress({ completed, total }) {
+  console.log(chalk.dim(`   Embedded ${completed}/${total}`));
+}
+
+/**
+ * Resolve similarity seeds from award IDs and, with fromReplies, sent emails
+ * with positive replies. Prints an error and returns null if there are none
+ * or an ID isn't on disk.
+ */
+function getSimilarSeedsOrExit(awardIds = [], fromReplies = false) {
+  const seeds = [];
+  for (const id of awardIds) {
+    const award = findAward(id);
+    if (!award) {
+      console.log(
+        chalk.red(`\n❌ Award ${id} not found in awards/ or staging/\n`)
+      );
+      process.exitCode = 1;
+      return null;
+    }
+    seeds.push(award);
+  }
+  if (fromReplies) {
+    const replied = getPositiveReplyAwards();
+    if (replied.length === 0) {
+      console.log(
+        chalk.yellow(
+          "\nNo sent emails have a positive reply yet (record them with `nsf-outreach outcome`).\n"
+        )
+      );
+    }
+    seeds.push(...replied);
+  }
+  if (seeds.length === 0) {
+    if (!fromReplies) {
+      console.log(
+        chalk.red("\n❌ Give an award ID to compare with, or --from-replies\n")
+      );
+    }
+    process.exitCode = 1;
+    return null;
+  }
+  // An award given by ID may also have a positive reply
+  return [...new Map(seeds.map((s) => [String(s.awardNumber), s])).values()];
+}
+
 program
   .name("nsf-outreach")
   .description("CLI tool for NSF researcher outreach")
@@ -33,14 +261,22 @@ program
   .command("scan")
   .description("Scan awards folders and show statistics")
   .option("-y, --year <year>", "Specific year to scan")
-  .option("-k, --keywords <keywords>", "Filter by keywords (comma-separated)")
+  .option(
+    "--collab <policy>",
+    "Collaborative Research groups: lead, one, or all",
+    "all"
+  )
+  .option(
+    "-k, --keywords <query>",
+    'Keyword query: commas/OR, AND, NOT, "phrases", title:/abstract:/program:'
+  )
   .action(async (options) => {
     ensureDirs();
 
     const years = options.year ? [options.year] : getAvailableYears();
-    const keywords = options.keywords
-      ? options.keywords.split(",").map((k) => k.trim())
-      : [];
+    const search = getSearchOrExit(options);
+    if (!search || !isValidGroupPolicy(options.collab)) return;
+    const { query, filters } = search;
 
     if (years.length === 0) {
       console.log(chalk.yellow("\nNo award folders found."));
@@ -54,8 +290,11 @@ program
 
     console.log(chalk.bold("\n📊 NSF Awards Scan\n"));
 
-    if (keywords.length > 0) {
-      console.log(chalk.dim(`Filtering by keywords: ${keywords.join(", ")}\n`));
+    if (query) {
+      console.log(chalk.dim(`Filtering by keywords: ${query.source}\n`));
+    }
+    if (describeFilters(filters)) {
+      console.log(chalk.dim(`Filters: ${describeFilters(filters)}\n`));
     }
 
     let totalStats = {
@@ -66,7 +305,7 @@ program
     };
 
     for (const year of years) {
-      const stats = getScanStats(year, keywords);
+      const stats = getScanStats(year, query, filters, options.collab);
       totalStats.total += stats.total;
       totalStats.withEmail += stats.withEmail;
       totalStats.unprocessed += stats.unprocessed;
@@ -79,9 +318,37 @@ program
           stats.withEmail
         )} | Without: ${chalk.yellow(stats.withoutEmail)}`
       );
+      const issueCounts = Object.entries(stats.emailIssues);
+      if (issueCounts.length > 0) {
+        console.log(
+          `   Email issues: ${chalk.yellow(
+            issueCounts
+              .map(([code, n]) => `${n} ${EMAIL_ISSUES[code].label}`)
+              .join(", ")
+          )}`
+        );
+      }
       console.log(`   Unprocessed: ${chalk.blue(stats.unprocessed)}`);
+      if (stats.collaborativeGroups > 0) {
+        console.log(
+          `   Collaborative: ${chalk.magenta(
+            stats.collaborativeGroups
+          )} groups (${stats.collaborativeAwards} awards)`
+        );
+      }
+      // Category breakdowns once anything has been classified
+      const classified = stats.total - (stats.categories[UNCLASSIFIED] || 0);
+      if (classified > 0) {
+        console.log(
+          `   Categories: ${describeCategoryCounts(stats.categories)}`
+        );
+      }
       console.log(
-        `   Ready to generate: ${chalk.green(stats.readyToGenerate)}\n`
+        `   Ready to generate: ${chalk.green(stats.readyToGenerate)}` +
+          (classified > 0 && stats.readyToGenerate > 0
+            ? chalk.dim(` (${describeCategoryCounts(stats.readyCategories)})`)
+            : "") +
+          "\n"
       );
     }
 
@@ -95,32 +362,765 @@ program
     }
   });
 
+// ============ CLASSIFY COMMAND ============
+program
+  .command("classify")
+  .description(
+    "Tag awards with a computational category, score and pain-point hypothesis"
+  )
+  .option("-y, --year <year>", "Specific year to classify (default: all)")
+  .option("--from-staging", "Classify awards in the staging folder")
+  .option("--method <method>", "heuristic or llm", "heuristic")
+  .option(
+    "--provider <name>",
+    "LLM provider for --method llm: anthropic, openai, or mock"
+  )
+  .option("--model <model>", "Model name for the provider")
+  .option("--force", "Classify again even if already classified")
+  .option("-c, --concurrency <number>", "LLM calls at once", "1")
+  .option(
+    "-k, --keywords <query>",
+    'Keyword query: commas/OR, AND, NOT, "phrases", title:/abstract:/program:'
+  )
+  .action(async (options) => {
+    ensureDirs();
+    if (!CLASSIFY_METHODS[options.method]) {
+      console.log(
+        chalk.red(
+          `\n❌ --method must be one of: ${Object.keys(CLASSIFY_METHODS).join(
+            ", "
+          )}\n`
+        )
+      );
+      process.exitCode = 1;
+      return;
+    }
+    const search = getSearchOrExit(options);
+    if (!search) return;
+
+    let llm = null;
+    if (options.method === "llm") {
+      try {
+        llm = getLLMConfig(options);
+      } catch (err) {
+        console.log(chalk.red(`\n❌ ${err.message}\n`));
+        process.exitCode = 1;
+        return;
+      }
+      const missing = getMissingCredentials(llm);
+      if (missing) {
+        console.log(chalk.red(`\n❌ ${missing}\n`));
+        process.exitCode = 1;
+        return;
+      }
+    }
+
+    const awards = options.fromStaging
+      ? loadStagingAwards()
+      : (options.year ? [options.year] : getAvailableYears()).flatMap((year) =>
+          loadAwards(year, search.query, search.filters)
+        );
+
+    console.log(
+      chalk.bold(
+        `\n🏷️  Classifying ${awards.length} awards (${options.method}` +
+          (llm ? `, ${llm.provider}/${llm.model}` : "") +
+          ")\n"
+      )
+    );
+
+    const results = await classifyAwards(awards, {
+      method: options.method,
+      llm,
+      force: options.force,
+      concurrency: Math.max(1, parseInt(options.concurrency, 10) || 1),
+      onProgress: ({
+        completed,
+        total,
+        awardId,
+        status,
+        classification,
+        error,
+      }) => {
+        // The heuristic does thousands a second; only report LLM calls
+        if (!llm && status !== "error") return;
+        console.log(
+          chalk.dim(`[${completed}/${total}]`) +
+            (status === "error"
+              ? ` ${chalk.red("✗")} ${chalk.cyan(awardId)} ${chalk.dim(error)}`
+              : ` ${chalk.green("✓")} ${chalk.cyan(awardId)} ${
+                  CATEGORIES[classification.category]
+                }, ${classification.computational_score}/10` +
+                chalk.dim(` - ${classification.pain_point}`))
+        );
+      },
+    });
+
+    console.log(
+      `\n${chalk.green(`✅ Classified ${results.classified}`)}` +
+        (results.cached > 0
+          ? chalk.dim(
+              ` (${results.cached} already classified; --force to redo)`
+            )
+          : "")
+    );
+    if (results.errors.length > 0) {
+      console.log(chalk.red(`❌ ${results.errors.length} errors`));
+    }
+
+    console.log(
+      `   Categories: ${describeCategoryCounts(countByCategory(awards))}`
+    );
+
+    const usage = results.usage;
+    if (usage.calls > 0) {
+      console.log(
+        `   Usage: ${usage.input_tokens.toLocaleString()} tokens in, ${usage.output_tokens.toLocaleString()} out, ${formatCost(
+          usage.cost_usd
+        )}`
+      );
+    }
+    console.log();
+  });
+
+// ============ SCORE COMMAND ============
+program
+  .command("score")
+  .description(
+    "Rate each award's fit against templates/ideal-customer.md, with a rationale"
+  )
+  .option("-y, --year <year>", "Specific year to score (default: all)")
+  .option("--from-staging", "Score awards in the staging folder")
+  .option(
+    "--provider <name>",
+    "LLM provider: anthropic, openai (compatible server), or mock"
+  )
+  .option("--model <model>", "Model name for the provider")
+  .option("--force", "Score again even if already scored")
+  .option("-c, --concurrency <number>", "LLM calls at once", "1")
+  .option(
+    "-k, --keywords <query>",
+    'Keyword query: commas/OR, AND, NOT, "phrases", title:/abstract:/program:'
+  )
+  .action(async (options) => {
+    ensureDirs();
+    const search = getSearchOrExit(options);
+    if (!search) return;
+
+    let llm;
+    try {
+      llm = getLLMConfig(options);
+    } catch (err) {
+      console.log(chalk.red(`\n❌ ${err.message}\n`));
+      process.exitCode = 1;
+      return;
+    }
+    const missing = getMissingCredentials(llm);
+    if (missing) {
+      console.log(chalk.red(`\n❌ ${missing}\n`));
+      process.exitCode = 1;
+      return;
+    }
+
+    const awards = options.fromStaging
+      ? loadStagingAwards()
+      : (options.year ? [options.year] : getAvailableYears()).flatMap((year) =>
+          loadAwards(year, search.query, search.filters)
+        );
+
+    console.log(
+      chalk.bold(
+        `\n🎯 Scoring ${awards.length} awards (${llm.provider}/${llm.model})\n`
+      )
+    );
+
+    let results;
+    try {
+      results = await scoreAwards(awards, {
+        llm,
+        force: options.force,
+        concurrency: Math.max(1, parseInt(options.concurrency, 10) || 1),
+        onProgress: ({ completed, total, awardId, status, fit, error }) => {
+          console.log(
+            chalk.dim(`[${completed}/${total}]`) +
+              (status === "error"
+                ? ` ${chalk.red("✗")} ${chalk.cyan(awardId)} ${chalk.dim(
+                    error
+                  )}`
+                : ` ${chalk.green("✓")} ${chalk.cyan(awardId)} ${
+                    fit.score
+                  }/10` + chalk.dim(` - ${fit.rationale}`))
+          );
+        },
+      });
+    } catch (err) {
+      console.log(chalk.red(`\n❌ ${err.message}\n`));
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log(
+      `\n${chalk.green(`✅ Scored ${results.scored}`)}` +
+        (results.cached > 0
+          ? chalk.dim(` (${results.cached} already scored; --force to redo)`)
+          : "")
+    );
+    if (results.errors.length > 0) {
+      console.log(chalk.red(`❌ ${results.errors.length} errors`));
+    }
+
+    const best = sortByFit(awards.filter((a) => a._fit)).slice(0, 5);
+    if (best.length > 0) {
+      console.log("   Best fits:");
+      best.forEach((award) => {
+        console.log(
+          `     ${chalk.cyan(award.awardNumber)} ${award._fit.score}/10 ` +
+            chalk.dim(award.title.slice(0, 60))
+        );
+      });
+    }
+
+    const usage = results.usage;
+    if (usage.calls > 0) {
+      console.log(
+        `   Usage: ${usage.input_tokens.toLocaleString()} tokens in, ${usage.output_tokens.toLocaleString()} out, ${formatCost(
+          usage.cost_usd
+        )}`
+      );
+    }
+    console.log();
+  });
+
+// ============ SIMILAR COMMAND ============
+program
+  .command("similar")
+  .description(
+    "List awards most like the given ones (or ones that got positive replies)"
+  )
+  .argument("[award-ids...]", "Award IDs to find lookalikes of")
+  .option("-y, --year <year>", "Year to search (default: all)")
+  .option(
+    "--from-replies",
+    "Also seed from sent emails with a positive reply outcome"
+  )
+  .option("-l, --limit <number>", "How many awards to list", "20")
+  .option(
+    "--include-contacted",
+    "Also list awards already in the pipeline or whose PI was emailed"
+  )
+  .action(async (awardIds, options) => {
+    ensureDirs();
+    const search = getSearchOrExit(options);
+    if (!search) return;
+
+    const seeds = getSimilarSeedsOrExit(awardIds, options.fromReplies);
+    if (!seeds) return;
+
+    let awards = (options.year ? [options.year] : getAvailableYears()).flatMap(
+      (year) => loadAwards(year, null, search.filters)
+    );
+    if (!options.includeContacted) {
+      const registry = buildContactRegistry();
+      awards = filterUnprocessed(awards).filter(
+        (award) => !getRecentContact(registry, award, Infinity)
+      );
+    }
+
+    console.log(
+      chalk.bold(
+        `\n🔗 Awards like ${seeds.map((s) => s.awardNumber).join(", ")}\n`
+      )
+    );
+    if (describeFilters(search.filters)) {
+      console.log(chalk.dim(`Filters: ${describeFilters(search.filters)}\n`));
+    }
+
+    let ranked;
+    try {
+      ranked = await rankBySimilarity(awards, seeds, {
+        onProgress: printEmbedProgress,
+      });
+    } catch (err) {
+      console.log(chalk.red(`\n❌ ${err.message}\n`));
+      process.exitCode = 1;
+      return;
+    }
+
+    const limit = parseInt(options.limit, 10) || 20;
+    ranked.slice(0, limit).forEach((award, i) => {
+      const pi = extractPIInfo(award);
+      console.log(
+        `${chalk.dim(`${String(i + 1).padStart(3)}.`)} ${chalk.green(
+          award._similarity.score.toFixed(3)
+        )}  ${chalk.cyan(award.awardNumber)}  ${award.title.slice(0, 70)}`
+      );
+      console.log(
+        chalk.dim(
+          `          ${pi.piName || "N/A"}, ${pi.institution || "N/A"}` +
+            (seeds.length > 1 ? ` - like ${award._similarity.seed}` : "")
+        )
+      );
+    });
+    if (ranked.length === 0) {
+      console.log(chalk.yellow("No awards left to compare."));
+    }
+    console.log(
+      chalk.dim(
+        `\n${ranked.length} awards compared (${getEmbeddingModel()}). ` +
+          "Browse them with `nsf-outreach explore --like <award-id>`.\n"
+      )
+    );
+  });
+
+// ============ IMPORT COMMAND ============
+program
+  .command("import")
+  .description(
+    "Import NSF award data (bulk zip, folder of XML/JSON, or JSON-lines) into awards/"
+  )
+  .argument("<path>", "Zip file, folder, or .xml/.json/.jsonl file")
+  .option("-y, --year <year>", "Put new awards in this year folder")
+  .option("--dry-run", "Report what would change without writing files")
+  .action(async (source, options) => {
+    ensureDirs();
+
+    console.log(
+      chalk.bold(`\n📥 Importing awards${options.dryRun ? " (DRY RUN)" : ""}\n`)
+    );
+    console.log(chalk.dim(`Source: ${source}\n`));
+
+    let results;
+    try {
+      results = importAwards(source, {
+        year: options.year,
+        dryRun: options.dryRun,
+        onProgress: ({ processed }) => {
+          console.log(chalk.dim(`   ${processed} awards processed...`));
+        },
+      });
+    } catch (err) {
+      console.log(chalk.red(`❌ ${err.message}\n`));
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log(`   New:       ${chalk.green(results.new)}`);
+    console.log(`   Updated:   ${chalk.blue(results.updated)}`);
+    console.log(`   Unchanged: ${chalk.dim(results.unchanged)}`);
+
+    const years = Object.keys(results.byYear).sort();
+    if (years.length > 0) {
+      console.log();
+      years.forEach((year) => {
+        console.log(
+          `   ${chalk.cyan(`📁 ${year}`)}  ${results.byYear[year]} awards`
+        );
+      });
+    }
+
+    if (results.skipped.length > 0) {
+      console.log(
+        chalk.yellow(`\n⚠️  ${results.skipped.length} records skipped:`)
+      );
+      results.skipped.slice(0, 10).forEach(({ source, awardId, reason }) => {
+        console.log(chalk.dim(`   ${awardId || source}: ${reason}`));
+      });
+    }
+
+    if (results.errors.length > 0) {
+      console.log(chalk.red(`\n❌ ${results.errors.length} files failed:`));
+      results.errors.forEach(({ source, error }) => {
+        console.log(chalk.dim(`   ${source}: ${error}`));
+      });
+    }
+
+    console.log();
+  });
+
+// ============ REINDEX COMMAND ============
+program
+  .command("reindex")
+  .description("Rebuild the award index from every file in awards/")
+  .action(() => {
+    ensureDirs();
+
+    console.log(chalk.bold("\n🗂️  Rebuilding award index\n"));
+    const stats = rebuildIndex();
+    console.log(`   Indexed: ${chalk.green(stats.total)} award files`);
+    console.log(chalk.dim(`   Saved to ${INDEX_PATH}\n`));
+  });
+
+// ============ EMBED COMMAND ============
+program
+  .command("embed")
+  .description(
+    "Compute local text embeddings of award titles and abstracts for similar"
+  )
+  .option("-y, --year <year>", "Specific year to embed (default: all)")
+  .option("--force", "Embed again even if already embedded")
+  .action(async (options) => {
+    ensureDirs();
+    const awards = (
+      options.year ? [options.year] : getAvailableYears()
+    ).flatMap((year) => loadAwards(year));
+
+    console.log(
+      chalk.bold(
+        `\n🧭 Embedding ${awards.length} awards (${getEmbeddingModel()})\n`
+      )
+    );
+    try {
+      const results = await embedAwards(awards, {
+        force: options.force,
+        onProgress: printEmbedProgress,
+      });
+      console.log(
+        `\n${chalk.green(`✅ Embedded ${results.embedded}`)}` +
+          (results.cached > 0
+            ? chalk.dim(
+                ` (${results.cached} already embedded; --force to redo)`
+              )
+            : "")
+      );
+      console.log(chalk.dim(`   Saved to ${INDEX_PATH}\n`));
+    } catch (err) {
+      console.log(chalk.red(`\n❌ ${err.message}\n`));
+      process.exitCode = 1;
+    }
+  });
+
+// ============ VALIDATE COMMAND ============
+program
+  .command("validate")
+  .description("Check award files for data-quality problems")
+  .option("-y, --year <year>", "Specific year to validate")
+  .option("--json", "Print the report as JSON")
+  .option("--strict", "Exit non-zero on warnings too")
+  .action((options) => {
+    const years = options.year ? [options.year] : undefined;
+    if (options.year && !getAvailableYears().includes(options.year)) {
+      console.log(chalk.red(`\n❌ No award folder for ${options.year}\n`));
+      process.exitCode = 1;
+      return;
+    }
+
+    const report = validateAwards({ years });
+    const failed = report.errors > 0 || (options.strict && report.warnings > 0);
+    if (failed) process.exitCode = 1;
+
+    if (options.json) {
+      console.log(JSON.stringify(report, null, 2));
+      return;
+    }
+
+    console.log(chalk.bold("\n🩺 Validating award files\n"));
+    console.log(
+      `   Checked ${chalk.cyan(report.checked)} files in ${
+        report.years.join(", ") || "no year folders"
+      }`
+    );
+
+    if (report.issues.length === 0) {
+      console.log(chalk.green("\n✅ No problems found\n"));
+      return;
+    }
+
+    // Group by issue type, errors first
+    for (const [code, type] of Object.entries(ISSUE_TYPES)) {
+      const matching = report.issues.filter((i) => i.code === code);
+      if (matching.length === 0) continue;
+
+      const color = type.severity === "error" ? chalk.red : chalk.yellow;
+      console.log(color(`\n${type.label} (${matching.length}):`));
+      matching.slice(0, 10).forEach(({ file, detail }) => {
+        console.log(chalk.dim(`   ${file}${detail ? `: ${detail}` : ""}`));
+      });
+      if (matching.length > 10) {
+        console.log(chalk.dim(`   ...and ${matching.length - 10} more`));
+      }
+    }
+
+    console.log();
+    console.log(
+      `   ${chalk.red(`${report.errors} errors`)}, ${chalk.yellow(
+        `${report.warnings} warnings`
+      )}\n`
+    );
+  });
+
 // ============ GENERATE COMMAND ============
 program
   .command("generate")
   .description("Generate email drafts for unprocessed awards")
   .option("-y, --year <year>", "Year to process", "2024")
   .option("-l, --limit <number>", "Maximum emails to generate", "10")
-  .option("-k, --keywords <keywords>", "Filter by keywords (comma-separated)")
+  .option(
+    "-k, --keywords <query>",
+    'Keyword query: commas/OR, AND, NOT, "phrases", title:/abstract:/program:'
+  )
   .option("--from-name <name>", "Sender name for signature")
   .option("--from-staging", "Use awards from staging folder instead of year")
+  .option(
+    "--collab <policy>",
+    "Collaborative Research groups: lead, one, or all",
+    "one"
+  )
+  .option(
+    "--role <role>",
+    "Who to email: pi, co-pi (current co-PIs), or all (PI and current co-PIs; former ones never)",
+    "pi"
+  )
+  .option(
+    "--salutation <policy>",
+    "Greeting: first, dr, professor, or none",
+    getSalutationPolicy()
+  )
+  .option(
+    "--provider <name>",
+    "LLM provider: anthropic, openai (compatible server), or mock"
+  )
+  .option("--model <model>", "Model name for the provider")
+  .option(
+    "--selection <mode>",
+    "Variant selection: random, thompson, epsilon, or stratified (default: variants.json)"
+  )
+  .option(
+    "--lint-retries <number>",
+    "Regenerations for drafts that fail lint (default: variants.json, else 2)"
+  )
+  .option(
+    "--prompt <name>",
+    "Prompt template in templates/prompts/",
+    getPromptName()
+  )
+  .option("--candidates <number>", "Candidate drafts per award", "1")
+  .option(
+    "--candidate-mode <mode>",
+    "How candidates differ: variants or temperature",
+    "variants"
+  )
+  .option(
+    "--candidate-temperature <number>",
+    "Sampling temperature for --candidate-mode temperature (default: 1)"
+  )
+  .option("--judge", "Have the LLM rank each award's candidates")
+  .option("--by-score", "Generate for the best-fit awards first (see score)")
+  .option("--temperature <number>", "Sampling temperature")
+  .option(
+    "--thinking-budget <tokens>",
+    "Extended thinking tokens for Anthropic (0 to turn off)"
+  )
+  .option("-c, --concurrency <number>", "Drafts to generate at once", "1")
+  .option(
+    "--requests-per-minute <number>",
+    "LLM request budget per minute (0 = unlimited)",
+    process.env.LLM_REQUESTS_PER_MINUTE || "0"
+  )
+  .option(
+    "--tokens-per-minute <number>",
+    "LLM token budget per minute (0 = unlimited)",
+    process.env.LLM_TOKENS_PER_MINUTE || "0"
+  )
+  .option(
+    "--max-spend <dollars>",
+    "Stop the run once estimated spend reaches this many dollars"
+  )
+  .option(
+    "--max-tokens <number>",
+    "Stop the run once input + output tokens reach this many"
+  )
+  .option("--campaign <name>", "Campaign name saved on drafts for cost reports")
+  .option(
+    "--seed <seed>",
+    "Seed for award order and variant picks, to reproduce a run (default: random)"
+  )
+  .option(
+    "--stagger-days <days>",
+    "With --collab all, days between sends to sibling sites",
+    "7"
+  )
+  .option(
+    "--cooldown <days>",
+    "Days before the same person can be emailed again, 0 for none (default: CONTACT_COOLDOWN_DAYS or 90)"
+  )
+  .option(
+    "--recent-contact <mode>",
+    "People contacted within the cooldown: skip or warn",
+    "skip"
+  )
+  .option(
+    "--resume <run-id>",
+    "Retry the failed and unfinished awards of an earlier run"
+  )
   .action(async (options) => {
     ensureDirs();
 
-    if (!process.env.ANTHROPIC_API_KEY) {
-      console.log(chalk.red("\n❌ ANTHROPIC_API_KEY not set in .env file\n"));
+    let resumed = null;
+    if (options.resume) {
+      resumed = loadRun(options.resume);
+      if (!resumed) {
+        console.log(
+          chalk.red(
+            `\n❌ Run ${options.resume} not found (see \`nsf-outreach runs\`)\n`
+          )
+        );
+        process.exitCode = 1;
+        return;
+      }
+      // Same selection and settings as the original run; only the pace and
+      // spend caps come from this command line
+      options = {
+        ...resumed.options,
+        ...Object.fromEntries(
+          RUNTIME_OPTIONS.map((key) => [key, options[key]])
+        ),
+      };
+    }
+
+    // Every run gets a seed (saved in the journal and each draft) so its
+    // award order and variant assignment can be rebuilt later
+    options.seed ??= createSeed();
+
+    let llm;
+    try {
+      llm = getLLMConfig(options);
+    } catch (err) {
+      console.log(chalk.red(`\n❌ ${err.message}\n`));
+      process.exitCode = 1;
+      return;
+    }
+    let prompt;
+    let selector;
+    try {
+      prompt = loadPrompt(options.prompt);
+      selector = getVariantSelector({
+        mode: options.selection,
+        seed: options.seed,
+      });
+    } catch (err) {
+      console.log(chalk.red(`\n❌ ${err.message}\n`));
+      process.exitCode = 1;
+      return;
+    }
+    const missing = getMissingCredentials(llm);
+    if (missing) {
+      console.log(chalk.red(`\n❌ ${missing}\n`));
+      process.exitCode = 1;
+      return;
+    }
+    if (!isValidGroupPolicy(options.collab) || !isValidRole(options.role)) {
+      return;
+    }
+    if (!SALUTATIONS[options.salutation]) {
+      console.log(
+        chalk.red(
+          `\n❌ --salutation must be one of: ${Object.keys(SALUTATIONS).join(
+            ", "
+          )}\n`
+        )
+      );
+      process.exitCode = 1;
+      return;
+    }
+    if (!["skip", "warn"].includes(options.recentContact)) {
+      console.log(chalk.red("\n❌ --recent-contact must be skip or warn\n"));
+      process.exitCode = 1;
+      return;
+    }
+    const cooldownDays = getCooldownOrExit(options.cooldown);
+    if (cooldownDays === null) return;
+    const candidates = parseInt(options.candidates, 10);
+    if (!(candidates >= 1)) {
+      console.log(chalk.red("\n❌ --candidates must be 1 or more\n"));
+      process.exitCode = 1;
+      return;
+    }
+    if (!CANDIDATE_MODES[options.candidateMode]) {
+      console.log(
+        chalk.red(
+          `\n❌ --candidate-mode must be one of: ${Object.keys(
+            CANDIDATE_MODES
+          ).join(", ")}\n`
+        )
+      );
+      process.exitCode = 1;
+      return;
+    }
+    const candidateTemperature =
+      options.candidateTemperature !== undefined
+        ? Number(options.candidateTemperature)
+        : undefined;
+    if (Number.isNaN(candidateTemperature)) {
+      console.log(chalk.red("\n❌ --candidate-temperature must be a number\n"));
+      process.exitCode = 1;
+      return;
+    }
+    const temperatureConflict =
+      candidates > 1 &&
+      options.candidateMode === "temperature" &&
+      getTemperatureConflict(llm);
+    if (temperatureConflict) {
+      console.log(
+        chalk.red(`\n❌ --candidate-mode temperature: ${temperatureConflict}\n`)
+      );
+      process.exitCode = 1;
+      return;
+    }
+    const maxSpend = Number(options.maxSpend || 0);
+    const maxTokens = Number(options.maxTokens || 0);
+    if (!(maxSpend >= 0) || !(maxTokens >= 0)) {
+      console.log(
+        chalk.red(
+          "\n❌ --max-spend and --max-tokens must be positive numbers\n"
+        )
+      );
+      process.exitCode = 1;
       return;
     }
 
-    const limit = parseInt(options.limit, 10);
+    let limit = parseInt(options.limit, 10);
     const senderName = options.fromName || process.env.FROM_NAME;
 
     let awards = [];
+    let ranked = false;
+
+    if (resumed) {
+      console.log(chalk.bold(`\n✉️  Resuming run ${resumed.run_id}\n`));
+      awards = getResumeTargets(resumed).filter(hasValidContact);
 
-    if (options.fromStaging) {
+      // Keep the original run's order
+      ranked = true;
+      limit = awards.length;
+
+      if (awards.length === 0) {
+        console.log(
+          chalk.yellow(
+            "Nothing left to retry: every award has been processed.\n"
+          )
+        );
+        return;
+      }
+    } else if (options.fromStaging) {
       // Load from staging folder
+      const search = getSearchOrExit(options);
+      if (!search) return;
+      if (search.query) {
+        console.log(
+          chalk.red(
+            "\n❌ --keywords doesn't apply to --from-staging (staging is already a picked list; filters do apply)\n"
+          )
+        );
+        process.exitCode = 1;
+        return;
+      }
+
       console.log(chalk.bold(`\n✉️  Generating emails from staging\n`));
-      awards = loadStagingAwards().filter(hasValidContact);
+      if (describeFilters(search.filters)) {
+        console.log(chalk.dim(`Filters: ${describeFilters(search.filters)}\n`));
+      }
+      awards = loadStagingAwards()
+        .filter((award) => matchesFilters(award, search.filters))
+        .filter(hasValidContact);
 
       if (awards.length === 0) {
         console.log(
@@ -134,12 +1134,21 @@ program
     } else {
       // Load from year folder (default behavior)
       const year = options.year;
-      const keywords = options.keywords
-        ? options.keywords.split(",").map((k) => k.trim())
-        : [];
+      const search = getSearchOrExit(options);
+      if (!search) return;
+      const { query, filters } = search;
+      ranked = Boolean(query);
 
       console.log(chalk.bold(`\n✉️  Generating emails for ${year}\n`));
-      awards = getUnprocessedAwards(year, keywords).filter(hasValidContact);
+      if (query) {
+        console.log(chalk.dim(`Ranking by keywords: ${query.source}\n`));
+      }
+      if (describeFilters(filters)) {
+        console.log(chalk.dim(`Filters: ${describeFilters(filters)}\n`));
+      }
+      awards = getUnprocessedAwards(year, query, filters, options.role).filter(
+        hasValidContact
+      );
 
       if (awards.length === 0) {
         console.log(
@@ -152,27 +1161,227 @@ program
       }
     }
 
-    console.log(`Found ${chalk.cyan(awards.length)} awards with email`);
-    console.log(`Generating up to ${chalk.cyan(limit)} drafts...\n`);
+    const before = awards.length;
+    awards = applyGroupPolicy(awards, options.collab, getProcessedAwardIds());
+    if (awards.length < before) {
+      console.log(
+        chalk.dim(
+          `Collaborative policy "${options.collab}": ${
+            before - awards.length
+          } sibling awards held back\n`
+        )
+      );
+    }
 
-    const results = await generateEmails(awards, {
-      limit,
-      senderName,
-      onProgress: ({ current, total, awardId }) => {
+    // Contact-level dedup across awards and years
+    const cooldown = applyContactCooldown(awards, buildContactRegistry(), {
+      cooldownDays,
+      mode: options.recentContact,
+    });
+    awards = cooldown.awards;
+    if (cooldown.held.length > 0) {
+      const verb =
+        options.recentContact === "warn" ? "⚠️  Warning:" : "Held back";
+      console.log(
+        chalk.yellow(
+          `${verb} ${cooldown.held.length} awards whose PI was recently contacted:`
+        )
+      );
+      cooldown.held.slice(0, 10).forEach(({ awardId, piEmail, reason }) => {
+        console.log(chalk.dim(`   ${awardId} ${piEmail}: ${reason}`));
+      });
+      if (cooldown.held.length > 10) {
+        console.log(chalk.dim(`   ...and ${cooldown.held.length - 10} more`));
+      }
+      console.log();
+    }
+
+    if (awards.length === 0) {
+      console.log(chalk.yellow("No awards left to generate.\n"));
+      return;
+    }
+
+    // Best fit first, keyword relevance breaking ties; a resumed run keeps
+    // the order it already has
+    if (options.byScore && !resumed) {
+      awards = sortByFit(awards);
+      ranked = true;
+      const unscored = awards.filter((a) => !a._fit).length;
+      if (unscored > 0) {
         console.log(
-          chalk.dim(`[${current}/${total}]`) +
-            ` Generating for ${chalk.cyan(awardId)}...`
+          chalk.dim(
+            `${unscored} awards have no fit score and go last (run \`nsf-outreach score\`)\n`
+          )
         );
-      },
-    });
+      }
+    }
+
+    console.log(`Found ${chalk.cyan(awards.length)} awards with email`);
+    console.log(`Generating up to ${chalk.cyan(limit)} drafts...`);
+    const concurrency = Math.max(1, parseInt(options.concurrency, 10) || 1);
+    const journal = createRunJournal(
+      { ...options, resume: undefined },
+      { resumedFrom: resumed?.run_id }
+    );
+    console.log(
+      chalk.dim(
+        `Model: ${llm.provider}/${llm.model}, prompt: ${prompt.name} v${prompt.version}` +
+          (concurrency > 1 ? `, ${concurrency} at a time` : "") +
+          `, seed ${options.seed}` +
+          (candidates > 1
+            ? `\n${candidates} candidates per award (${options.candidateMode})` +
+              (options.judge ? ", ranked by the LLM judge" : "")
+            : "") +
+          `\nRun: ${journal.run.run_id}\n`
+      )
+    );
+    printVariantProbabilities(selector);
+
+    // First Ctrl-C lets in-flight drafts finish; a second one quits now
+    const controller = new AbortController();
+    const onInterrupt = () => {
+      if (controller.signal.aborted) process.exit(130);
+      controller.abort();
+      console.log(
+        chalk.yellow(
+          "\n⏸  Stopping after in-flight drafts finish (Ctrl-C again to quit now)..."
+        )
+      );
+    };
+    process.on("SIGINT", onInterrupt);
+
+    let results;
+    try {
+      results = await generateEmails(awards, {
+        limit,
+        ranked,
+        senderName,
+        salutation: options.salutation,
+        llm,
+        groupPolicy: options.collab,
+        staggerDays: parseInt(options.staggerDays, 10),
+        concurrency,
+        requestsPerMinute: parseInt(options.requestsPerMinute, 10) || 0,
+        tokensPerMinute: parseInt(options.tokensPerMinute, 10) || 0,
+        maxSpend,
+        maxTokens,
+        campaign: options.campaign,
+        prompt,
+        selector,
+        lintRetries:
+          options.lintRetries !== undefined
+            ? parseInt(options.lintRetries, 10) || 0
+            : undefined,
+        candidates,
+        candidateMode: options.candidateMode,
+        candidateTemperature,
+        judge: options.judge,
+        seed: options.seed,
+        journal,
+        signal: controller.signal,
+        onProgress: ({
+          completed,
+          total,
+          awardId,
+          score,
+          fit,
+          status,
+          error,
+          candidate,
+          attempt,
+          delayMs,
+          cost,
+          violations,
+        }) => {
+          // Completions arrive in any order, so each line names its award
+          if (status === "retry") {
+            console.log(
+              chalk.dim(
+                `   ↻ ${awardId}: ${error} - retry ${attempt} in ${(
+                  delayMs / 1000
+                ).toFixed(1)}s`
+              )
+            );
+            return;
+          }
+          if (status === "regenerate") {
+            console.log(
+              chalk.dim(
+                `   ✎ ${awardId}${
+                  candidates > 1 ? ` candidate ${candidate}` : ""
+                }: ${describeViolations(
+                  violations
+                )} - regenerating (${attempt})`
+              )
+            );
+            return;
+          }
+          const mark =
+            status === "generated" ? chalk.green("✓") : chalk.red("✗");
+          console.log(
+            chalk.dim(`[${completed}/${total}]`) +
+              ` ${mark} ${chalk.cyan(awardId)}` +
+              (score !== undefined ? chalk.dim(` (score ${score})`) : "") +
+              (fit !== undefined ? chalk.dim(` (fit ${fit}/10)`) : "") +
+              (cost !== undefined ? chalk.dim(` ${formatCost(cost)}`) : "") +
+              (violations?.length > 0
+                ? chalk.yellow(` ⚠️  ${violations.length} lint issues`)
+                : "") +
+              (error ? chalk.dim(` ${error}`) : "")
+          );
+        },
+      });
+    } finally {
+      process.removeListener("SIGINT", onInterrupt);
+    }
 
     console.log();
 
+    if (results.interrupted) {
+      console.log(
+        chalk.yellow(
+          `⏸  Interrupted: ${results.notStarted} awards not started\n`
+        )
+      );
+    } else if (results.limitReached) {
+      const cap =
+        results.limitReached === "spend"
+          ? `--max-spend ${formatCost(maxSpend)}`
+          : `--max-tokens ${maxTokens}`;
+      console.log(
+        chalk.yellow(
+          `⏸  Reached ${cap}: ${results.notStarted} awards not started\n`
+        )
+      );
+    }
+
     if (results.generated.length > 0) {
       console.log(
         chalk.green(`✅ Generated ${results.generated.length} drafts`)
       );
+      const generatedIds = new Set(results.generated.map((g) => g.awardId));
+      const byCategory = countByCategory(
+        awards.filter((award) => generatedIds.has(getTargetId(award)))
+      );
+      if (Object.keys(byCategory).some((key) => key !== UNCLASSIFIED)) {
+        console.log(`   By category: ${describeCategoryCounts(byCategory)}`);
+      }
       console.log(chalk.dim(`   Saved to ${DIRS.drafts}/\n`));
+
+      const flagged = results.generated.filter((g) => g.violations.length > 0);
+      if (flagged.length > 0) {
+        console.log(
+          chalk.yellow(
+            `⚠️  ${flagged.length} drafts still have lint issues (shown in review):`
+          )
+        );
+        flagged.forEach(({ awardId, violations }) => {
+          console.log(
+            chalk.dim(`   ${awardId}: ${describeViolations(violations)}`)
+          );
+        });
+        console.log();
+      }
     }
 
     if (results.errors.length > 0) {
@@ -183,6 +1392,43 @@ program
       console.log();
     }
 
+    const usage = results.usage;
+    if (usage.calls > 0) {
+      console.log(chalk.bold("Usage:"));
+      console.log(
+        `   Tokens: ${usage.input_tokens.toLocaleString()} in, ${usage.output_tokens.toLocaleString()} out` +
+          chalk.dim(` (~${usage.thinking_tokens.toLocaleString()} thinking)`)
+      );
+      console.log(
+        `   Cost:   ${formatCost(usage.cost_usd)}` +
+          (results.generated.length > 0
+            ? chalk.dim(
+                ` (${formatCost(
+                  usage.cost_usd / results.generated.length
+                )} per draft)`
+              )
+            : "") +
+          (usage.unpriced > 0
+            ? chalk.yellow(
+                ` + ${usage.unpriced} calls with no price for ${llm.model} (add it to prices.json)`
+              )
+            : "")
+      );
+      console.log();
+    }
+
+    if (
+      results.errors.length > 0 ||
+      results.interrupted ||
+      results.limitReached
+    ) {
+      console.log(
+        chalk.dim(
+          `Retry the rest with: nsf-outreach generate --resume ${journal.run.run_id}\n`
+        )
+      );
+    }
+
     console.log(
       chalk.dim(
         "Next: Review drafts in drafts/ folder, then move approved ones to approved/\n"
@@ -190,6 +1436,192 @@ program
     );
   });
 
+// ============ COSTS COMMAND ============
+program
+  .command("costs")
+  .description("Show LLM token usage and spend from stored drafts")
+  .option("--by <group>", "Group by campaign, variant, or month", "campaign")
+  .option("--json", "Print the report as JSON")
+  .action((options) => {
+    if (!COST_GROUPS[options.by]) {
+      console.log(
+        chalk.red(
+          `\n❌ --by must be one of: ${Object.keys(COST_GROUPS).join(", ")}\n`
+        )
+      );
+      process.exitCode = 1;
+      return;
+    }
+
+    const report = getCostReport({ by: options.by });
+    if (options.json) {
+      console.log(JSON.stringify(report, null, 2));
+      return;
+    }
+
+    console.log(chalk.bold(`\n💵 LLM Spend by ${COST_GROUPS[options.by]}\n`));
+
+    if (report.groups.length === 0) {
+      console.log(chalk.yellow("No drafts with usage recorded yet.\n"));
+      return;
+    }
+
+    const width = Math.max(...report.groups.map((g) => g.key.length), 5);
+    const formatRow = (label, row) =>
+      `   ${label.padEnd(width)}  ${String(row.drafts).padStart(6)}  ${String(
+        row.input_tokens.toLocaleString()
+      ).padStart(12)}  ${String(row.output_tokens.toLocaleString()).padStart(
+        12
+      )}  ${formatCost(row.cost_usd).padStart(10)}` +
+      (row.unpriced > 0 ? chalk.yellow(`  ${row.unpriced} unpriced`) : "");
+
+    console.log(
+      chalk.dim(
+        `   ${"".padEnd(width)}  ${"Drafts".padStart(6)}  ${"Input".padStart(
+          12
+        )}  ${"Output".padStart(12)}  ${"Cost".padStart(10)}`
+      )
+    );
+    report.groups.forEach((group) => console.log(formatRow(group.key, group)));
+    console.log(chalk.bold(formatRow("Total", report.total)));
+    console.log();
+
+    if (report.untracked > 0) {
+      console.log(
+        chalk.dim(
+          `${report.untracked} older drafts have no usage recorded and aren't counted\n`
+        )
+      );
+    }
+  });
+
+// ============ OUTCOME COMMAND ============
+program
+  .command("outcome <id> <outcome>")
+  .description(
+    `Record what happened to a sent email (${Object.keys(OUTCOMES).join(", ")})`
+  )
+  .option("--note <text>", "Note to keep with the outcome")
+  .action((id, outcome, options) => {
+    let record;
+    try {
+      record = recordOutcome(id, outcome, options.note || null);
+    } catch (err) {
+      console.log(chalk.red(`\n❌ ${err.message}\n`));
+      process.exitCode = 1;
+      return;
+    }
+    if (!record) {
+      console.log(chalk.red(`\n❌ No sent email ${id} in ${DIRS.sent}/\n`));
+      process.exitCode = 1;
+      return;
+    }
+    console.log(
+      chalk.green(`\n✓ ${id} (${record.pi_name}): ${OUTCOMES[outcome].label}\n`)
+    );
+  });
+
+// ============ RUNS COMMAND ============
+program
+  .command("runs [run-id]")
+  .description("List past generate runs, or show one run's awards")
+  .option("-n, --limit <number>", "Runs to list", "20")
+  .action((runId, options) => {
+    if (runId) {
+      const run = loadRun(runId);
+      if (!run) {
+        console.log(chalk.red(`\n❌ Run ${runId} not found\n`));
+        process.exitCode = 1;
+        return;
+      }
+
+      const counts = summarizeRun(run);
+      console.log(chalk.bold(`\n🧾 Run ${run.run_id}\n`));
+      console.log(`   Status:   ${getRunStatus(run)}`);
+      console.log(`   Started:  ${formatDate(run.started_at)}`);
+      if (run.finished_at) {
+        console.log(`   Finished: ${formatDate(run.finished_at)}`);
+      }
+      if (run.resumed_from) {
+        console.log(`   Resumes:  ${run.resumed_from}`);
+      }
+      console.log(
+        `   Source:   ${
+          run.options.fromStaging ? "staging" : run.options.year
+        }` +
+          (run.options.keywords
+            ? chalk.dim(` (keywords: ${run.options.keywords})`)
+            : "")
+      );
+      console.log(
+        `   Awards:   ${chalk.green(counts.generated)} generated, ${chalk.red(
+          counts.error
+        )} failed, ${chalk.yellow(counts.pending)} not finished`
+      );
+      if (run.usage?.calls > 0) {
+        console.log(`   Cost:     ${formatCost(run.usage.cost_usd)}`);
+      }
+      console.log();
+
+      const marks = {
+        generated: chalk.green("✓"),
+        error: chalk.red("✗"),
+      };
+      run.awards.forEach((entry) => {
+        console.log(
+          `   ${marks[entry.status] || chalk.yellow("·")} ${chalk.cyan(
+            entry.id
+          )}` + (entry.error ? chalk.dim(` ${entry.error}`) : "")
+        );
+      });
+      console.log();
+
+      if (counts.error + counts.pending > 0) {
+        console.log(
+          chalk.dim(
+            `Retry with: nsf-outreach generate --resume ${run.run_id}\n`
+          )
+        );
+      }
+      return;
+    }
+
+    const runs = listRuns().slice(0, parseInt(options.limit, 10) || 20);
+    console.log(chalk.bold("\n🧾 Generate Runs\n"));
+    if (runs.length === 0) {
+      console.log(chalk.yellow("No runs yet.\n"));
+      return;
+    }
+
+    const colors = {
+      completed: chalk.green,
+      running: chalk.cyan,
+      interrupted: chalk.yellow,
+      limit_reached: chalk.yellow,
+      died: chalk.red,
+    };
+    runs.forEach((run) => {
+      const counts = summarizeRun(run);
+      const status = getRunStatus(run);
+      console.log(
+        `   ${chalk.cyan(run.run_id)}  ${(colors[status] || chalk.white)(
+          status.padEnd(13)
+        )}  ${chalk.green(`${counts.generated} ✓`)}  ${chalk.red(
+          `${counts.error} ✗`
+        )}  ${chalk.yellow(`${counts.pending} ·`)}` +
+          chalk.dim(
+            `  ${run.options.fromStaging ? "staging" : run.options.year}` +
+              (run.resumed_from ? `, resumes ${run.resumed_from}` : "")
+          )
+      );
+    });
+    console.log(
+      chalk.dim(
+        "\n✓ generated  ✗ failed  · not finished. Details: nsf-outreach runs <run-id>\n"
+      )
+    );
+  });
+
 // ============ STATUS COMMAND ============
 program
   .command("status")
@@ -213,6 +1645,22 @@ program
     );
     console.log(`   ${chalk.green("Sent:")}      ${sent} emails delivered`);
     console.log(`   ${chalk.dim("Skipped:")}   ${skipped} emails skipped`);
+    const skipReasons = {};
+    for (const id of listIds("skipped")) {
+      const reason = readJson(
+        path.join(DIRS.skipped, `${id}.json`)
+      )?.skip_reason;
+      if (reason) skipReasons[reason] = (skipReasons[reason] || 0) + 1;
+    }
+    if (Object.keys(skipReasons).length > 0) {
+      console.log(
+        chalk.dim(
+          `              ${Object.entries(skipReasons)
+            .map(([reason, n]) => `${n} ${SKIP_REASONS[reason] || reason}`)
+            .join(", ")}`
+        )
+      );
+    }
     if (staging > 0) {
       console.log(
         `   ${chalk.magenta(
@@ -260,6 +1708,11 @@ program
   .option("--dry-run", "Preview without sending")
   .option("--from <email>", "From email address")
   .option("--from-name <name>", "From name")
+  .option(
+    "--check-mx",
+    "Look up each recipient domain's mail servers (needs network)",
+    isMxCheckEnabled()
+  )
   .action(async (options) => {
     ensureDirs();
 
@@ -315,6 +1768,7 @@ program
       replyToEmail,
       fromEmail,
       fromName,
+      checkMx: options.checkMx,
       onProgress: ({ current, total, awardId, recipient }) => {
         const status = dryRun ? "Would send to" : "Sending to";
         console.log(
@@ -332,6 +1786,25 @@ program
       }
     }
 
+    if (results.deferred > 0) {
+      console.log(
+        chalk.dim(
+          `   ${results.deferred} staggered collaborative emails not due yet`
+        )
+      );
+    }
+
+    if (results.blocked.length > 0) {
+      console.log(
+        chalk.red(
+          `\n🚫 ${results.blocked.length} held back by recipient checks (still in ${DIRS.approved}/):`
+        )
+      );
+      results.blocked.forEach(({ recipient, error }) => {
+        console.log(chalk.dim(`   ${recipient}: ${error}`));
+      });
+    }
+
     if (results.errors.length > 0) {
       console.log(chalk.red(`\n❌ ${results.errors.length} errors:`));
       results.errors.forEach(({ awardId, recipient, error }) => {
@@ -399,18 +1872,182 @@ program
     await startReview(options.folder);
   });
 
+// ============ REGENERATE COMMAND ============
+program
+  .command("regenerate")
+  .description("Regenerate a draft with reviewer feedback")
+  .argument("<award-id>", "Draft to regenerate (award ID, or award-person ID)")
+  .option(
+    "--feedback <text>",
+    'What should change, e.g. "less salesy, mention their GPU simulations"'
+  )
+  .option("--reroll", "Pick the variants again instead of keeping them")
+  .option(
+    "--provider <name>",
+    "LLM provider (default: the one the draft was generated with)"
+  )
+  .option("--model <model>", "Model name for the provider")
+  .option("--from-name <name>", "Sender name for signature")
+  .option(
+    "--lint-retries <number>",
+    "Regenerations for drafts that fail lint (default: variants.json, else 2)"
+  )
+  .action(async (draftId, options) => {
+    const filepath = path.join(DIRS.drafts, `${draftId}.json`);
+    const email = readJson(filepath);
+    if (!email) {
+      console.log(chalk.red(`\n❌ Draft not found: ${filepath}\n`));
+      process.exitCode = 1;
+      return;
+    }
+
+    let feedback = options.feedback;
+    if (!feedback) {
+      const rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout,
+      });
+      feedback = await rl.question(
+        'What should change? (e.g. "less salesy, mention their GPU simulations"): '
+      );
+      rl.close();
+    }
+    if (!feedback.trim()) {
+      console.log(chalk.yellow("\nNo feedback given, keeping the draft\n"));
+      return;
+    }
+
+    console.log(
+      chalk.bold(
+        `\n🔁 Regenerating ${draftId}` +
+          (options.reroll ? " with new variants" : "")
+      )
+    );
+    try {
+      const llm =
+        options.provider || options.model
+          ? getLLMConfig({
+              provider: options.provider || email.llm?.provider,
+              model: options.model,
+            })
+          : undefined;
+      const missing = llm && getMissingCredentials(llm);
+      if (missing) throw new Error(missing);
+
+      const updated = await regenerateDraft(email, {
+        feedback,
+        reroll: options.reroll,
+        llm,
+        senderName: options.fromName,
+        lintRetries:
+          options.lintRetries !== undefined
+            ? parseInt(options.lintRetries, 10) || 0
+            : undefined,
+        onRegenerate: ({ attempt, violations }) =>
+          console.log(
+            chalk.dim(
+              `   attempt ${attempt} broke lint (${describeViolations(
+                violations
+              )}), regenerating`
+            )
+          ),
+      });
+      writeJson(filepath, updated);
+
+      console.log(chalk.dim("─".repeat(60)));
+      console.log(`${chalk.cyan("Subject:")} ${updated.subject}`);
+      console.log(updated.body);
+      console.log(chalk.dim("─".repeat(60)));
+      if (updated.lint.violations.length > 0) {
+        console.log(
+          chalk.yellow(
+            `⚠️  Still has lint issues: ${describeViolations(
+              updated.lint.violations
+            )}`
+          )
+        );
+      }
+      console.log(
+        chalk.green(
+          `\n✅ Saved version ${updated.history.length + 1} of ${draftId}`
+        ) +
+          chalk.dim(
+            ` (${formatCost(
+              updated.cost_usd
+            )}; earlier versions kept in history)\n`
+          )
+      );
+    } catch (err) {
+      console.log(chalk.red(`\n❌ ${err.message}\n`));
+      process.exitCode = 1;
+    }
+  });
+
 // ============ EXPLORE COMMAND ============
 program
   .command("explore")
   .description("Interactively explore raw awards and save to staging")
   .option("-y, --year <year>", "Year to explore", "2025")
-  .option("-k, --keywords <keywords>", "Filter by keywords (comma-separated)")
+  .option(
+    "--collab <policy>",
+    "Collaborative Research groups: lead, one, or all",
+    "all"
+  )
+  .option(
+    "--role <role>",
+    "Who to show: pi, co-pi (current co-PIs), or all (PI and current co-PIs; former ones never)",
+    "pi"
+  )
+  .option(
+    "-k, --keywords <query>",
+    'Keyword query: commas/OR, AND, NOT, "phrases", title:/abstract:/program:'
+  )
+  .option(
+    "--like <award-ids>",
+    "Show awards most like these first (comma-separated, see similar)"
+  )
+  .option(
+    "--like-replies",
+    "Show awards most like ones that got positive replies first"
+  )
   .action(async (options) => {
     const year = options.year || "2025";
-    const keywords = options.keywords
-      ? options.keywords.split(",").map((k) => k.trim())
-      : [];
-    await startExplore(year, keywords);
+    const search = getSearchOrExit(options);
+    if (!search || !isValidGroupPolicy(options.collab)) return;
+    if (!isValidRole(options.role)) return;
+    if (getCooldownOrExit() === null) return;
+    let like = null;
+    if (options.like || options.likeReplies) {
+      like = getSimilarSeedsOrExit(
+        (options.like || "")
+          .split(",")
+          .map((id) => id.trim())
+          .filter(Boolean),
+        options.likeReplies
+      );
+      if (!like) return;
+    }
+    await startExplore(
+      year,
+      search.query,
+      search.filters,
+      options.collab,
+      options.role,
+      like
+    );
   });
 
+// Structured award filters (--directorate, --min-amount, ...) shared by
+// scan, generate, explore, classify, score and similar
+for (const name of [
+  "scan",
+  "generate",
+  "explore",
+  "classify",
+  "score",
+  "similar",
+]) {
+  addFilterOptions(program.commands.find((cmd) => cmd.name() === name));
+}
+
 program.parse();
@@ -0,0 +1,106 @@
+import { getLintConfig } from "./lint.js";
+
+/**
+ * Tool definition for the judge's structured output
+ */
+const JUDGE_TOOL = {
+  name: "rank_candidates",
+  description: "Score candidate cold emails against the outreach rules",
+  input_schema: {
+    type: "object",
+    properties: {
+      rankings: {
+        type: "array",
+        description: "One entry per candidate",
+        items: {
+          type: "object",
+          properties: {
+            candidate: {
+              type: "integer",
+              description: "Candidate number as given in the prompt",
+            },
+            score: {
+              type: "integer",
+              description:
+                "1 (breaks the rules, generic) to 10 (ready to send)",
+            },
+            reason: {
+              type: "string",
+              description: "One sentence on the main strength or problem",
+            },
+          },
+          required: ["candidate", "score", "reason"],
+        },
+      },
+    },
+    required: ["rankings"],
+  },
+};
+
+/**
+ * Judge prompt: the guardrail rules (from the lint settings) and every
+ * candidate, numbered from 1
+ */
+function buildJudgePrompt(candidates, { awardTitle, lintSettings }) {
+  const {
+    max_words: maxWords,
+    max_subject_chars: maxSubject,
+    ouro_min_sentence: ouroSentence,
+    banned_phrases: bannedPhrases,
+  } = getLintConfig(lintSettings);
+  const drafts = candidates
+    .map(
+      (c, i) => `Candidate ${i + 1}:
+Subject: ${c.subject}
+
+${c.body}`
+    )
+    .join("\n\n---\n\n");
+
+  return `You are reviewing cold emails to an NSF-funded researcher about their award "${awardTitle}". Each email introduces Ouro, a platform for sharing research code, data and results.
+
+Score each candidate from 1 to 10 against these rules:
+- At most ${maxWords} words, not counting greeting and sign-off; subject at most ${maxSubject} characters
+- Opens with a problem specific to their research, not flattery; Ouro isn't mentioned before sentence ${ouroSentence}
+- Sounds like a fellow researcher: no startup language, no asking for a call or meeting
+- Never uses: ${bannedPhrases.map((p) => `"${p}"`).join(", ")}
+- Ends with a short sign-off
+
+Prefer the email a busy researcher would be most likely to answer.
+
+${drafts}`;
+}
+
+/**
+ * Score a draft's candidates with the LLM (see generateEmail's candidates
+ * option). Returns { rankings[{ index, score, reason }] } best first, with
+ * index 0-based into candidates, and the call's usage. Candidates the judge
+ * left out rank last with a null score.
+ */
+export async function judgeCandidates(candidates, options) {
+  const { provider, awardTitle, lintSettings } = options;
+  const result = await provider.generate({
+    prompt: buildJudgePrompt(candidates, { awardTitle, lintSettings }),
+    tool: JUDGE_TOOL,
+  });
+
+  const scored = new Map();
+  for (const entry of result.output?.rankings || []) {
+    const index = Number(entry.candidate) - 1;
+    if (index >= 0 && index < candidates.length && !scored.has(index)) {
+      scored.set(index, {
+        index,
+        score: Number(entry.score) || null,
+        reason: entry.reason || "",
+      });
+    }
+  }
+  if (scored.size === 0) {
+    throw new Error("Judge response had no rankings");
+  }
+
+  const rankings = candidates
+    .map((_, index) => scored.get(index) || { index, score: null, reason: "" })
+    .sort((a, b) => (b.score ?? -1) - (a.score ?? -1));
+  return { rankings, usage: result.usage };
+}
@@ -0,0 +1,209 @@
+// Checks run on every generated draft. Drafts that break a rule are
+// regenerated with the problems fed back (see generateEmail); whatever is
+// left is saved on the draft and shown in review.
+export const LINT_RULES = {
+  word_count: "Too long",
+  subject_length: "Subject too long",
+  banned_phrase: "Banned phrase",
+  ouro_too_early: "Ouro mentioned too early",
+  meeting_request: "Asks for a meeting",
+  startup_language: "Startup language",
+  missing_sign_off: "No sign-off",
+};
+
+// Defaults for the "lint" block in variants.json
+const DEFAULTS = {
+  max_words: 100,
+  max_subject_chars: 60,
+  // Ouro shouldn't come up before this sentence (1-based)
+  ouro_min_sentence: 3,
+  banned_phrases: [
+    "addresses a real challenge",
+    "important work",
+    "I'm reaching out because",
+    "I've been following your work",
+    "fascinating",
+    "I hope this email finds you well",
+  ],
+  disabled_rules: [],
+};
+
+// First emails shouldn't ask for time on someone's calendar. Durations
+// only count next to an ask ("a 15-minute call", "15 minutes of your
+// time"), not in pain-point copy ("runs take 40 minutes each to rerun"),
+// and bare "meeting" is left out: "at the AGU meeting" isn't an ask.
+const MEETING_PATTERNS = [
+  /\b\d+[- ]?min(ute)?s?\s+(call|chat|meeting|conversation|zoom)\b/i,
+  /\b\d+[- ]?min(ute)?s?\s+of\s+(your\s+)?time\b/i,
+  /\b(got|have|spare|find)\s+\d+[- ]?min(ute)?s?\b/i,
+  /\b\d+[- ]?min(ute)?s?\b[^.?!]{0,30}\bto (chat|talk|meet)\b/i,
+  /\b(a|quick|short|brief|phone|video) (call|chat|meeting)\b/i,
+  /\b(zoom|calendly|hop on|jump on)\b/i,
+  /\bschedule (a|some) (time|call|chat)\b/i,
+];
+
+// Startup phrasing. Bare "scale" and "growth" are left out: research
+// abstracts are full of "large-scale" and "crystal growth".
+const STARTUP_WORDS =
+  /\b(launch(ed|es|ing)?|scale up|at scale|hypergrowth|growth hack\w*|disrupt\w*|revolutioni[sz]\w*|game[- ]chang\w*|synerg\w*|10x)\b/i;
+
+// A sign-off line is short and isn't a question or a sentence
+const MAX_SIGN_OFF_WORDS = 4;
+
+/**
+ * Merge the "lint" block from variants.json over the defaults
+ */
+export function getLintConfig(config = {}) {
+  return { ...DEFAULTS, ...config };
+}
+
+/**
+ * The enabled rules as instructions for the prompt ({{lint_rules}}), one
+ * "- " line each, so the model is told what drafts are checked against
+ */
+export function describeLintRules(config = {}) {
+  const rules = getLintConfig(config);
+  const phrases = rules.banned_phrases.map((p) => `"${p}"`).join(", ");
+  const lines = {
+    word_count: `Keep the body to ${rules.max_words} words or fewer, not counting the greeting and sign-off`,
+    subject_length: `Keep the subject line to ${rules.max_subject_chars} characters or fewer`,
+    banned_phrase: phrases && `Never use these phrases: ${phrases}`,
+    ouro_too_early: `Don't mention Ouro before sentence ${rules.ouro_min_sentence} of the body`,
+    meeting_request:
+      "Don't ask for a call, a meeting or time on their calendar",
+    startup_language:
+      'No startup language ("launch", "disrupt", "game-changing", "at scale")',
+    missing_sign_off:
+      "End on a short sign-off line, not a sentence or question",
+  };
+  return Object.entries(lines)
+    .filter(([code, line]) => line && !rules.disabled_rules.includes(code))
+    .map(([, line]) => `- ${line}`)
+    .join("\n");
+}
+
+/**
+ * Split a body into greeting, content lines and sign-off (its last line)
+ */
+function splitBody(body) {
+  const lines = body
+    .trim()
+    .split("\n")
+    .map((line) => line.trim());
+  const greeting = /^(hi|hello|hey|dear)\b/i.test(lines[0])
+    ? lines.shift()
+    : "";
+  const signOff = lines.length > 1 ? lines.pop() : "";
+  return { greeting, content: lines.join("\n").trim(), signOff };
+}
+
+/**
+ * Split text into sentences
+ */
+function splitSentences(text) {
+  return text
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Lint a draft's subject and body (the body without the signature block).
+ * Returns violations as [{ code, message }].
+ */
+export function lintEmail({ subject, body }, config = {}) {
+  const rules = getLintConfig(config);
+  const violations = [];
+  const add = (code, message) => {
+    if (!rules.disabled_rules.includes(code)) {
+      violations.push({ code, message });
+    }
+  };
+
+  const { content, signOff } = splitBody(body);
+
+  const words = content.split(/\s+/).filter(Boolean).length;
+  if (words > rules.max_words) {
+    add("word_count", `${words} words (max ${rules.max_words})`);
+  }
+
+  if (subject.length > rules.max_subject_chars) {
+    add(
+      "subject_length",
+      `subject is ${subject.length} characters (max ${rules.max_subject_chars})`
+    );
+  }
+
+  const text = `${subject}\n${content}`;
+  const lower = text.toLowerCase().replace(/’/g, "'");
+  for (const phrase of rules.banned_phrases) {
+    if (lower.includes(phrase.toLowerCase().replace(/’/g, "'"))) {
+      add("banned_phrase", `uses "${phrase}"`);
+    }
+  }
+
+  const sentences = splitSentences(content);
+  const ouroAt = sentences.findIndex((s) => /\bOuro\b/i.test(s));
+  if (ouroAt >= 0 && ouroAt + 1 < rules.ouro_min_sentence) {
+    add(
+      "ouro_too_early",
+      `Ouro comes up in sentence ${ouroAt + 1} (not before sentence ${
+        rules.ouro_min_sentence
+      })`
+    );
+  }
+
+  for (const pattern of MEETING_PATTERNS) {
+    const match = content.match(pattern);
+    if (match) {
+      const sentence = sentences.find((s) => pattern.test(s)) || match[0];
+      add("meeting_request", `asks for a meeting: "${sentence}"`);
+      break;
+    }
+  }
+
+  const startup = text.match(STARTUP_WORDS);
+  if (startup) {
+    add("startup_language", `uses "${startup[0]}"`);
+  }
+
+  const signOffWords = signOff.split(/\s+/).filter(Boolean).length;
+  if (
+    !signOff ||
+    signOffWords > MAX_SIGN_OFF_WORDS ||
+    /[?!]$/.test(signOff) ||
+    (signOffWords > 1 && /\.$/.test(signOff))
+  ) {
+    add(
+      "missing_sign_off",
+      signOff
+        ? `ends with "${signOff}" instead of a sign-off`
+        : "no sign-off line"
+    );
+  }
+
+  return violations;
+}
+
+/**
+ * Instructions appended to the prompt when regenerating a draft that broke
+ * rules: what was wrong and the draft itself
+ */
+export function formatLintFeedback(violations, { subject, body }) {
+  return `Your previous draft broke these rules. Write a new version that fixes every one of them and keeps everything else in the instructions above:
+${violations.map((v) => `- ${LINT_RULES[v.code]}: ${v.message}`).join("\n")}
+
+Previous draft:
+Subject: ${subject}
+
+${body}`;
+}
+
+/**
+ * One-line summary of violations for display
+ */
+export function describeViolations(violations) {
+  return violations
+    .map((v) => `${LINT_RULES[v.code]}: ${v.message}`)
+    .join("; ");
+}
@@ -0,0 +1,420 @@
+import Anthropic from "@anthropic-ai/sdk";
+
+// Available LLM providers
+export const PROVIDERS = {
+  anthropic: "Anthropic Messages API (ANTHROPIC_API_KEY)",
+  openai:
+    "OpenAI-compatible chat completions (OPENAI_BASE_URL, OPENAI_API_KEY)",
+  mock: "Deterministic offline drafts, no API calls",
+};
+
+// Defaults when neither the CLI nor .env says otherwise
+const DEFAULT_MODELS = {
+  anthropic: "claude-sonnet-4-5",
+  openai: "gpt-4o-mini",
+  mock: "mock-1",
+};
+const DEFAULT_MAX_TOKENS = 8000;
+const DEFAULT_THINKING_BUDGET = 4000;
+const DEFAULT_OPENAI_BASE_URL = "https://api.openai.com/v1";
+
+/**
+ * Parse a number option, throwing on junk
+ */
+function parseNumber(value, name) {
+  if (value === undefined || value === null || value === "") return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new Error(`Invalid ${name}: ${value}`);
+  }
+  return number;
+}
+
+/**
+ * Resolve LLM settings from CLI options, falling back to .env
+ * (LLM_PROVIDER, LLM_MODEL, LLM_TEMPERATURE, LLM_THINKING_BUDGET,
+ * LLM_MAX_TOKENS). Throws on unknown providers or bad numbers.
+ */
+export function getLLMConfig(options = {}) {
+  const env = process.env;
+  const provider = (options.provider || env.LLM_PROVIDER || "anthropic")
+    .trim()
+    .toLowerCase();
+  if (!PROVIDERS[provider]) {
+    throw new Error(
+      `Unknown provider "${provider}" (use ${Object.keys(PROVIDERS).join(
+        ", "
+      )})`
+    );
+  }
+
+  const thinkingBudget = parseNumber(
+    options.thinkingBudget ?? env.LLM_THINKING_BUDGET,
+    "thinking budget"
+  );
+
+  return {
+    provider,
+    model: options.model || env.LLM_MODEL || DEFAULT_MODELS[provider],
+    temperature: parseNumber(
+      options.temperature ?? env.LLM_TEMPERATURE,
+      "temperature"
+    ),
+    thinkingBudget:
+      thinkingBudget ??
+      (provider === "anthropic" ? DEFAULT_THINKING_BUDGET : 0),
+    maxTokens:
+      parseNumber(options.maxTokens ?? env.LLM_MAX_TOKENS, "max tokens") ||
+      DEFAULT_MAX_TOKENS,
+    baseUrl: (env.OPENAI_BASE_URL || DEFAULT_OPENAI_BASE_URL).replace(
+      /\/$/,
+      ""
+    ),
+  };
+}
+
+/**
+ * Describe why a config can't sample at a requested temperature, or null
+ * if it can. Anthropic only accepts the default with extended thinking on.
+ */
+export function getTemperatureConflict(config) {
+  return config.provider === "anthropic" && config.thinkingBudget > 0
+    ? "Anthropic ignores temperature with extended thinking on (set --thinking-budget 0 or LLM_THINKING_BUDGET=0)"
+    : null;
+}
+
+/**
+ * Describe missing credentials for a config, or null if it's ready to use
+ */
+export function getMissingCredentials(config) {
+  if (config.provider === "anthropic" && !process.env.ANTHROPIC_API_KEY) {
+    return "ANTHROPIC_API_KEY not set in .env file";
+  }
+  // Local OpenAI-compatible servers usually don't need a key
+  if (
+    config.provider === "openai" &&
+    config.baseUrl === DEFAULT_OPENAI_BASE_URL &&
+    !process.env.OPENAI_API_KEY
+  ) {
+    return "OPENAI_API_KEY not set in .env file";
+  }
+  return null;
+}
+
+/**
+ * Attach the usage of a call that was paid for but failed to an error, so
+ * spend tracking still counts it
+ */
+function withUsage(err, usage) {
+  err.usage = usage;
+  return err;
+}
+
+/**
+ * Anthropic Messages API with tool use and optional extended thinking.
+ * Temperature (the config's, or a per-request override) is only sent with
+ * thinking off (the API requires 1 with it on).
+ */
+function createAnthropicProvider(config) {
+  let client = null;
+
+  return {
+    name: "anthropic",
+    model: config.model,
+    async generate({ prompt, tool, temperature = config.temperature }) {
+      // Retries are handled by the caller (see concurrency.js)
+      if (!client) client = new Anthropic({ maxRetries: 0 });
+
+      const request = {
+        model: config.model,
+        max_tokens: config.maxTokens,
+        tools: [tool],
+        messages: [{ role: "user", content: prompt }],
+      };
+      if (config.thinkingBudget > 0) {
+        request.thinking = {
+          type: "enabled",
+          budget_tokens: config.thinkingBudget,
+        };
+      } else {
+        request.tool_choice = { type: "tool", name: tool.name };
+        if (temperature !== null) {
+          request.temperature = temperature;
+        }
+      }
+
+      const response = await client.messages.create(request);
+
+      // output_tokens includes thinking, which the API doesn't count
+      // separately; estimate it from the thinking text
+      const thinkingText = response.content
+        .filter((c) => c.type === "thinking")
+        .map((c) => c.thinking || "")
+        .join("");
+      const usage = {
+        input_tokens: response.usage?.input_tokens || 0,
+        output_tokens: response.usage?.output_tokens || 0,
+        thinking_tokens: Math.ceil(thinkingText.length / 4),
+      };
+
+      // Extract the tool use response (skip thinking blocks)
+      const toolUse = response.content.find(
+        (c) => c.type === "tool_use" && c.name === tool.name
+      );
+      if (!toolUse) {
+        throw withUsage(new Error("No tool use response from Claude"), usage);
+      }
+
+      return { output: toolUse.input, usage };
+    },
+  };
+}
+
+/**
+ * Pull a JSON object out of free text (for servers without tool calling)
+ */
+function parseJsonFromText(text) {
+  const start = text.indexOf("{");
+  const end = text.lastIndexOf("}");
+  if (start === -1 || end <= start) return null;
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * OpenAI-compatible /chat/completions over HTTP (OpenAI, vLLM, Ollama,
+ * llama.cpp server, ...). Asks for a function call and falls back to a JSON
+ * object in the message text for servers that ignore tools.
+ */
+function createOpenAIProvider(config) {
+  return {
+    name: "openai",
+    model: config.model,
+    async generate({ prompt, tool, temperature = config.temperature }) {
+      const fields = Object.keys(tool.input_schema.properties)
+        .map((field) => `"${field}"`)
+        .join(" and ");
+      const headers = { "Content-Type": "application/json" };
+      if (process.env.OPENAI_API_KEY) {
+        headers.Authorization = `Bearer ${process.env.OPENAI_API_KEY}`;
+      }
+
+      const request = {
+        model: config.model,
+        max_tokens: config.maxTokens,
+        messages: [
+          {
+            role: "user",
+            content: `${prompt}\n\nIf you can't call tools, reply with only a JSON object with ${fields}.`,
+          },
+        ],
+        tools: [
+          {
+            type: "function",
+            function: {
+              name: tool.name,
+              description: tool.description,
+              parameters: tool.input_schema,
+            },
+          },
+        ],
+        tool_choice: { type: "function", function: { name: tool.name } },
+      };
+      if (temperature !== null) {
+        request.temperature = temperature;
+      }
+
+      const response = await fetch(`${config.baseUrl}/chat/completions`, {
+        method: "POST",
+        headers,
+        body: JSON.stringify(request),
+      });
+      if (!response.ok) {
+        const text = await response.text().catch(() => "");
+        const err = new Error(
+          `${config.baseUrl} returned ${response.status}: ${text.slice(0, 200)}`
+        );
+        err.status = response.status;
+        err.headers = Object.fromEntries(response.headers.entries());
+        throw err;
+      }
+
+      const data = await response.json();
+      const usage = {
+        input_tokens: data.usage?.prompt_tokens || 0,
+        output_tokens: data.usage?.completion_tokens || 0,
+        thinking_tokens:
+          data.usage?.completion_tokens_details?.reasoning_tokens || 0,
+      };
+      const message = data.choices?.[0]?.message || {};
+      const call = message.tool_calls?.find(
+        (c) => c.function?.name === tool.name
+      );
+
+      let output = null;
+      if (call) {
+        try {
+          output = JSON.parse(call.function.arguments);
+        } catch {
+          output = null;
+        }
+      }
+      output = output || parseJsonFromText(message.content || "");
+      if (!output) {
+        throw withUsage(
+          new Error("No tool call or JSON in model response"),
+          usage
+        );
+      }
+
+      return { output, usage };
+    },
+  };
+}
+
+/**
+ * Small stable hash of a string
+ */
+function hashString(text) {
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = (hash * 31 + text.charCodeAt(i)) | 0;
+  }
+  return Math.abs(hash);
+}
+
+/**
+ * Read a "- Label: value" or "Label: value" line out of the prompt
+ */
+function promptField(prompt, label) {
+  const match = prompt.match(new RegExp(`^-?\\s*${label}:\\s*(.+)$`, "mi"));
+  return match ? match[1].trim() : "";
+}
+
+/**
+ * Mock answer for the candidate judge (see judge.js): a stable score for
+ * each "Candidate N:" block in the prompt
+ */
+function mockRanking(prompt) {
+  const numbers = [...prompt.matchAll(/^Candidate (\d+):/gm)].map((m) =>
+    Number(m[1])
+  );
+  return {
+    output: {
+      rankings: numbers.map((candidate) => ({
+        candidate,
+        score: 5 + (hashString(`${prompt}${candidate}`) % 5),
+        reason: "Mock judge score",
+      })),
+    },
+    usage: {
+      input_tokens: Math.ceil(prompt.length / 4),
+      output_tokens: 20 * numbers.length,
+      thinking_tokens: 0,
+    },
+  };
+}
+
+/**
+ * Mock answer for any other tool, filled in from its schema: enums and
+ * numbers picked by a hash of the prompt, strings as placeholders
+ */
+function mockToolOutput(prompt, tool) {
+  const hash = hashString(prompt);
+  const output = {};
+  for (const [field, schema] of Object.entries(tool.input_schema.properties)) {
+    if (schema.enum) {
+      output[field] = schema.enum[hash % schema.enum.length];
+    } else if (schema.type === "integer" || schema.type === "number") {
+      output[field] = hash % 11;
+    } else {
+      output[field] = `Mock ${field.replace(/_/g, " ")}`;
+    }
+  }
+  return {
+    output,
+    usage: {
+      input_tokens: Math.ceil(prompt.length / 4),
+      output_tokens: 30,
+      thinking_tokens: 0,
+    },
+  };
+}
+
+/**
+ * Deterministic offline provider: the same prompt always gives the same
+ * draft, unless the request sets its own temperature (several candidates
+ * per award), which picks at random. Builds a plausible email from the
+ * prompt's fields so the rest of the pipeline (review, send --dry-run) can
+ * be exercised without an API key.
+ */
+function createMockProvider(config) {
+  const openers = [
+    "Sharing research code that only runs on one cluster is a pain.",
+    "Getting a collaborator set up with your analysis environment takes days.",
+    "Model weights and outputs rarely fit in supplementary materials.",
+  ];
+
+  return {
+    name: "mock",
+    model: config.model,
+    async generate({ prompt, tool, temperature }) {
+      if (tool.name === "rank_candidates") return mockRanking(prompt);
+      if (tool.name !== "create_email") return mockToolOutput(prompt, tool);
+
+      const hash = temperature
+        ? Math.floor(Math.random() * openers.length)
+        : hashString(prompt);
+      const title = promptField(prompt, "Award title") || "your project";
+      const greeting =
+        promptField(prompt, "Open with exactly this greeting line") ||
+        "Hi there,";
+      const signOff = promptField(prompt, "Sign off with") || "Best";
+
+      const body = [
+        greeting,
+        "",
+        openers[hash % openers.length],
+        "It usually ends up rebuilt from scratch by the next student.",
+        "We built Ouro so researchers can publish code, data and results together in one place.",
+        "",
+        "Would it be useful for your group?",
+        "",
+        signOff.split("/")[0].trim() || "Best",
+      ].join("\n");
+
+      // Short enough for the default subject length lint
+      const topic = title.split(/\s+/).slice(0, 4).join(" ");
+      return {
+        output: {
+          subject: `Sharing the code behind ${topic}`.slice(0, 60).trim(),
+          body,
+        },
+        usage: {
+          input_tokens: Math.ceil(prompt.length / 4),
+          output_tokens: Math.ceil(body.length / 4),
+          thinking_tokens: 0,
+        },
+      };
+    },
+  };
+}
+
+/**
+ * Create the provider for a config (see getLLMConfig)
+ */
+export function createProvider(config) {
+  switch (config.provider) {
+    case "anthropic":
+      return createAnthropicProvider(config);
+    case "openai":
+      return createOpenAIProvider(config);
+    case "mock":
+      return createMockProvider(config);
+    default:
+      throw new Error(`Unknown provider "${config.provider}"`);
+  }
+}
@@ -0,0 +1,441 @@
+import fs from "fs";
+import path from "path";
+import { DIRS, readJson, writeJson } from "./utils.js";
+
+// Reviewer corrections to parsed names, keyed like the contact registry
+// ("email:<address>" / "nsf:<id>"). Kept under awards/ (git-ignored) with
+// the other sidecars, as it holds PI names and emails.
+export const NAME_OVERRIDES_PATH = path.join(
+  DIRS.awards,
+  ".name-overrides.json"
+);
+
+// Where overrides were saved before, read until the first new save
+const LEGACY_NAME_OVERRIDES_PATH = "name-overrides.json";
+
+// How to greet people
+export const SALUTATIONS = {
+  first: "First name (Hi Jainendra,)",
+  dr: "Dr. and surname (Hi Dr. Jain,)",
+  professor: "Professor and surname (Hi Professor Jain,)",
+  none: "Full name, no title (Hi Jainendra Jain,)",
+};
+const DEFAULT_SALUTATION = "first";
+
+// Generational suffixes (pi_sufx_name, or stuck on the end of a name)
+const SUFFIXES = { jr: "Jr.", sr: "Sr.", ii: "II", iii: "III", iv: "IV" };
+
+// Degrees that sometimes end up in name fields; dropped, the salutation
+// policy decides on titles
+const DEGREES = ["phd", "md", "dphil", "mba", "ms", "pe"];
+
+// Lowercase words that start a multi-part surname ("de la Cruz", "van der Berg")
+const SURNAME_PARTICLES = [
+  "al",
+  "bin",
+  "da",
+  "das",
+  "de",
+  "del",
+  "della",
+  "der",
+  "di",
+  "dos",
+  "du",
+  "el",
+  "ibn",
+  "la",
+  "le",
+  "st",
+  "ten",
+  "ter",
+  "van",
+  "von",
+];
+
+// NSF's abbreviations in institution names
+const INSTITUTION_ABBREVIATIONS = [
+  [/\bUniv\b\.?/gi, "University"],
+  [/\bInst\b\.?/gi, "Institute"],
+  [/\bColl\b\.?/gi, "College"],
+  [/\bCtr\b\.?/gi, "Center"],
+  [/\bNatl\b\.?/gi, "National"],
+  [/\bRes\b\.?/gi, "Research"],
+  [/\bFdn\b\.?/gi, "Foundation"],
+  [/\bAssn\b\.?/gi, "Association"],
+  [/\bSch\b\.?/gi, "School"],
+  [/\bCmty\b\.?/gi, "Community"],
+  [/\bDept\b\.?/gi, "Department"],
+];
+
+// Words kept lowercase in institution names (unless first)
+const MINOR_WORDS = ["of", "the", "at", "and", "in", "for", "on"];
+
+// Acronyms kept uppercase when fixing all-caps institution names
+const ACRONYMS = ["SUNY", "CUNY", "MIT", "UCLA", "USC", "NYU", "LSU"];
+
+let overrides = null;
+
+/**
+ * Title-case a word that arrived all caps or all lowercase, leaving
+ * mixed-case words ("McDonald", "DeWitt") alone. Handles hyphens,
+ * apostrophes and the Mc prefix.
+ */
+export function fixCase(word) {
+  if (!word) return "";
+  if (word !== word.toUpperCase() && word !== word.toLowerCase()) return word;
+
+  return word
+    .toLowerCase()
+    .replace(/(^|[-'’])([a-z])/g, (_, sep, ch) => sep + ch.toUpperCase())
+    .replace(
+      /(^|[-'’])Mc([a-z])/g,
+      (_, sep, ch) => `${sep}Mc${ch.toUpperCase()}`
+    );
+}
+
+/**
+ * Check if a token is an initial ("K", "K.")
+ */
+function isInitial(token) {
+  return /^[A-Za-z]\.?$/.test(token);
+}
+
+/**
+ * Format an initial as "K."
+ */
+function formatInitial(token) {
+  return isInitial(token) ? `${token[0].toUpperCase()}.` : token;
+}
+
+/**
+ * Bare lowercase form of a token for suffix/degree/particle lookups
+ */
+function bare(token) {
+  return token.toLowerCase().replace(/[.,]/g, "");
+}
+
+/**
+ * Split a name field into case-fixed tokens. Lowercase particles in a
+ * mixed-case name ("Maria de la Cruz") are kept as written.
+ */
+function toTokens(text) {
+  const value = text || "";
+  const uniform =
+    value === value.toUpperCase() || value === value.toLowerCase();
+  return value
+    .replace(/,/g, " ")
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((token) =>
+      !uniform && SURNAME_PARTICLES.includes(token) ? token : fixCase(token)
+    );
+}
+
+/**
+ * Split a free-form full name ("Jainendra K Jain", "Jain, Jainendra K.",
+ * "Maria de la Cruz Jr") into first, middle and last tokens
+ */
+function splitFullName(full) {
+  let text = full.trim();
+
+  // "Last, First Middle" (but not "First Last, Jr.")
+  const comma = text.match(/^([^,]+),\s*(.+)$/);
+  if (comma && !SUFFIXES[bare(comma[2])] && !DEGREES.includes(bare(comma[2]))) {
+    text = `${comma[2]} ${comma[1]}`;
+  }
+
+  // Trailing suffixes and degrees stay with the surname for parseName to
+  // strip
+  const tokens = toTokens(text);
+  const trailing = [];
+  while (tokens.length > 1) {
+    const b = bare(tokens.at(-1));
+    if (!SUFFIXES[b] && !DEGREES.includes(b)) break;
+    trailing.unshift(tokens.pop());
+  }
+  if (tokens.length <= 1) {
+    return { first: tokens, middle: [], last: trailing };
+  }
+
+  // Surname is the last token plus any particles before it
+  let start = tokens.length - 1;
+  while (start > 1 && SURNAME_PARTICLES.includes(bare(tokens[start - 1]))) {
+    start--;
+  }
+
+  return {
+    first: tokens.slice(0, 1),
+    middle: tokens.slice(1, start),
+    last: [...tokens.slice(start), ...trailing],
+  };
+}
+
+/**
+ * Parse a person's name from NSF fields. Prefers the structured fields
+ * (pi_first_name, pi_mid_init, pi_last_name, pi_sufx_name) and falls back
+ * to splitting pi_full_name.
+ *
+ * Returns { first, middle, last, suffix, preferred, full } where preferred
+ * is the name to greet them by (their middle name for "J. Robert Smith";
+ * empty when there are only initials).
+ */
+export function parseName({
+  first = "",
+  middle = "",
+  last = "",
+  suffix = "",
+  full = "",
+} = {}) {
+  let parts = {
+    first: toTokens(first),
+    middle: toTokens(middle),
+    last: toTokens(last),
+  };
+  if (parts.first.length === 0 && parts.last.length === 0 && full) {
+    parts = splitFullName(full);
+  }
+
+  // Suffixes and degrees stuck on any part
+  let suffixText = SUFFIXES[bare(suffix || "")] || "";
+  for (const key of ["first", "middle", "last"]) {
+    parts[key] = parts[key].filter((token) => {
+      const b = bare(token);
+      if (SUFFIXES[b] && key !== "first") {
+        suffixText = suffixText || SUFFIXES[b];
+        return false;
+      }
+      return !DEGREES.includes(b);
+    });
+  }
+
+  // Middle initial stuck on the first name ("Jainendra K")
+  while (parts.first.length > 1 && isInitial(parts.first.at(-1))) {
+    parts.middle.unshift(parts.first.pop());
+  }
+
+  const firstName = parts.first.map(formatInitial).join(" ");
+  const middleName = parts.middle.map(formatInitial).join(" ");
+  const lastName = parts.last.join(" ");
+
+  // Greeted by the first name that isn't an initial, so "J. Robert Smith"
+  // (either as NSF's first name or split off the full name) goes by
+  // Robert. Initials only ("J. R. Smith") leave it empty, and the
+  // salutation falls back to "Hi there," rather than "Hi J.,".
+  const preferred =
+    [...parts.first, ...parts.middle].find((token) => !isInitial(token)) || "";
+
+  return {
+    first: firstName,
+    middle: middleName,
+    last: lastName,
+    suffix: suffixText,
+    preferred,
+    full: [firstName, middleName, lastName, suffixText]
+      .filter(Boolean)
+      .join(" "),
+  };
+}
+
+/**
+ * Salutation policy from SALUTATION in .env (default: first name)
+ */
+export function getSalutationPolicy() {
+  const policy = (process.env.SALUTATION || "").trim().toLowerCase();
+  return SALUTATIONS[policy] ? policy : DEFAULT_SALUTATION;
+}
+
+/**
+ * Greeting line for a parsed name, e.g. "Hi Dr. Jain,". Falls back to
+ * "Hi there," when the name needed for the policy is missing.
+ */
+export function getSalutation(name, policy = getSalutationPolicy()) {
+  if (!SALUTATIONS[policy]) {
+    throw new Error(
+      `Unknown salutation "${policy}" (use ${Object.keys(SALUTATIONS).join(
+        ", "
+      )})`
+    );
+  }
+
+  // Surnames starting with a particle get it capitalized mid-sentence
+  // ("Dr. De la Cruz")
+  const surname = name.last
+    ? name.last[0].toUpperCase() + name.last.slice(1)
+    : "";
+
+  let greeting = "";
+  if (policy === "first") greeting = name.preferred;
+  if (policy === "dr" && surname) greeting = `Dr. ${surname}`;
+  if (policy === "professor" && surname) greeting = `Professor ${surname}`;
+  if (policy === "none" && name.preferred) {
+    greeting = [name.preferred, name.last].filter(Boolean).join(" ");
+  }
+
+  return `Hi ${greeting || "there"},`;
+}
+
+/**
+ * Clean an NSF institution name for display: expands abbreviations, fixes
+ * all-caps names, drops legal wrappers ("Regents of the") and the campus
+ * NSF appends after "X University"
+ * ("Pennsylvania State Univ University Park" -> "Pennsylvania State University")
+ */
+export function cleanInstitutionName(name) {
+  if (!name) return "";
+  let text = name.replace(/\s+/g, " ").trim();
+
+  if (text === text.toUpperCase()) {
+    text = text
+      .split(" ")
+      .map((word, i) => {
+        if (ACRONYMS.includes(word) || word.includes("&")) return word;
+        const lower = word.toLowerCase();
+        return i > 0 && MINOR_WORDS.includes(lower) ? lower : fixCase(word);
+      })
+      .join(" ");
+  }
+
+  for (const [pattern, replacement] of INSTITUTION_ABBREVIATIONS) {
+    text = text.replace(pattern, replacement);
+  }
+
+  text = text
+    .replace(
+      /^(the\s+)?(regents|trustees|board of (regents|trustees)|president and fellows)\s+of\s+(the\s+)?/i,
+      ""
+    )
+    .replace(/,?\s+(inc|llc)\.?$/i, "")
+    .replace(/,\s*the$/i, "")
+    .replace(/\s*[-,]?\s*main campus$/i, "");
+
+  // "X University <Campus>" -> "X University" (leave "University of X" alone)
+  const campus = text.match(
+    /^(?!university\b)(.+?\bUniversity)\s+(?!of\b)\S.*$/i
+  );
+  if (campus) text = campus[1];
+
+  return text.trim();
+}
+
+/**
+ * Load reviewer name overrides (once per process)
+ */
+function loadOverrides() {
+  if (!overrides) {
+    const filepath = [NAME_OVERRIDES_PATH, LEGACY_NAME_OVERRIDES_PATH].find(
+      (p) => fs.existsSync(p)
+    );
+    overrides = filepath ? readJson(filepath) || {} : {};
+  }
+  return overrides;
+}
+
+/**
+ * Write the overrides file
+ */
+function saveOverrides(all) {
+  fs.mkdirSync(path.dirname(NAME_OVERRIDES_PATH), { recursive: true });
+  writeJson(NAME_OVERRIDES_PATH, all);
+}
+
+/**
+ * Override keys for a person
+ */
+function overrideKeys({ email, nsfId }) {
+  const keys = [];
+  if (email) keys.push(`email:${String(email).trim().toLowerCase()}`);
+  if (nsfId) keys.push(`nsf:${nsfId}`);
+  return keys;
+}
+
+/**
+ * Get a reviewer's override for a person, or null.
+ * Overrides look like { first, last, salutation, updated_at }.
+ */
+export function getNameOverride(person) {
+  const all = loadOverrides();
+  for (const key of overrideKeys(person)) {
+    if (all[key]) return all[key];
+  }
+  return null;
+}
+
+/**
+ * Apply an override ({ first, last }) to a parsed name
+ */
+export function applyNameOverride(name, override) {
+  if (!override) return name;
+  const first = override.first || name.first;
+  const last = override.last || name.last;
+  return {
+    ...name,
+    first,
+    last,
+    preferred: override.first || name.preferred,
+    full: [first, name.middle, last, name.suffix].filter(Boolean).join(" "),
+  };
+}
+
+/**
+ * A person's stored overrides by key (null where there's none), to put
+ * back later with restoreNameOverrides
+ */
+export function snapshotNameOverrides(person) {
+  const all = loadOverrides();
+  return Object.fromEntries(
+    overrideKeys(person).map((key) => [key, all[key] || null])
+  );
+}
+
+/**
+ * Put back overrides from snapshotNameOverrides, removing the ones that
+ * didn't exist then
+ */
+export function restoreNameOverrides(snapshot) {
+  const all = loadOverrides();
+  for (const [key, record] of Object.entries(snapshot)) {
+    if (record) all[key] = record;
+    else delete all[key];
+  }
+  saveOverrides(all);
+}
+
+/**
+ * Save a reviewer's override for a person (under their email and NSF ID)
+ */
+export function saveNameOverride(person, override) {
+  const all = loadOverrides();
+  const record = { ...override, updated_at: new Date().toISOString() };
+  for (const key of overrideKeys(person)) {
+    all[key] = record;
+  }
+  saveOverrides(all);
+  return record;
+}
+
+/**
+ * Put a greeting line at the top of an email body, replacing the existing
+ * greeting ("Hi Professor Smith,", "Dear Dr. Smith,") if there is one. Only
+ * the greeting up to its first , ! or : is replaced, so a sentence on the
+ * same line ("Hi Jain, quick question...") is kept.
+ */
+export function applySalutation(body, salutation) {
+  const lines = body.split("\n");
+  const greeting = lines[0].match(
+    /^\s*(hi|hello|hey|dear|greetings)\b[^,!:\n]{0,60}[,!:]/i
+  );
+  if (greeting) {
+    const rest = lines[0].slice(greeting[0].length);
+    lines[0] = rest.trim() ? `${salutation}${rest}` : salutation;
+    return lines.join("\n");
+  }
+  // A greeting line with no punctuation ("Hi Dr. Smith")
+  if (
+    /^\s*(hi|hello|hey|dear|greetings)\b(\s+[\w.'-]+){0,3}\s*$/i.test(lines[0])
+  ) {
+    lines[0] = salutation;
+    return lines.join("\n");
+  }
+  return `${salutation}\n\n${body}`;
+}
@@ -0,0 +1,130 @@
+import fs from "fs";
+import path from "path";
+import { DIRS, listIds, readJson, writeJson } from "./utils.js";
+
+// What happened after an email was sent. reward is what the outcome is
+// worth to variant selection (see bandit.js); bounces say nothing about the
+// wording, so they aren't counted.
+export const OUTCOMES = {
+  positive: { label: "Positive reply (interested)", reward: 1 },
+  replied: { label: "Replied, neutral", reward: 0.5 },
+  negative: { label: "Replied, not interested", reward: 0 },
+  no_reply: { label: "No reply", reward: 0 },
+  bounced: { label: "Bounced", reward: null },
+};
+
+// Sent emails with no recorded outcome are pending and don't count. With
+// "reply_window_days" set in variants.json they count as no reply once that
+// many days have passed; it's off by default, since a reply nobody logged
+// would otherwise be learned as a miss.
+export const DEFAULT_REPLY_WINDOW_DAYS = null;
+
+// Variant dimensions, with the draft field that records each one. Older
+// records stored the bare ID under the dimension name.
+export const VARIANT_DIMENSIONS = {
+  template: "template_id",
+  ouro_description: "ouro_description_id",
+  call_to_action: "call_to_action_id",
+};
+
+/**
+ * Record the outcome of a sent email (by draft ID). Returns the updated
+ * record, or null if there's no sent email with that ID.
+ */
+export function recordOutcome(id, outcome, note = null) {
+  if (!OUTCOMES[outcome]) {
+    throw new Error(
+      `Unknown outcome "${outcome}" (use ${Object.keys(OUTCOMES).join(", ")})`
+    );
+  }
+
+  const filepath = path.join(DIRS.sent, `${id}.json`);
+  if (!fs.existsSync(filepath)) return null;
+
+  const record = readJson(filepath);
+  record.outcome = outcome;
+  record.outcome_at = new Date().toISOString();
+  record.outcome_note = note;
+  writeJson(filepath, record);
+  return record;
+}
+
+/**
+ * Variant IDs used by a record, by dimension
+ */
+function getVariantIds(record) {
+  const variants = record.variants || {};
+  return Object.fromEntries(
+    Object.entries(VARIANT_DIMENSIONS).map(([dimension, field]) => [
+      dimension,
+      variants[field] ?? variants[dimension] ?? null,
+    ])
+  );
+}
+
+/**
+ * Reward for a sent record: its outcome's reward, no reply once the reply
+ * window (if any) has passed, or undefined while it's still pending
+ */
+function getReward(record, replyWindowDays, now) {
+  if (record.outcome) return OUTCOMES[record.outcome]?.reward;
+  if (
+    !record.sent_at ||
+    replyWindowDays === null ||
+    replyWindowDays === undefined
+  ) {
+    return undefined;
+  }
+  const age = (now - new Date(record.sent_at).getTime()) / 86400000;
+  return age >= replyWindowDays ? OUTCOMES.no_reply.reward : undefined;
+}
+
+/**
+ * Tally outcomes per variant from sent/ records.
+ * Returns { <dimension>: { <variant id>: { sent, counted, reward,
+ * positive, replied, negative, no_reply, bounced, pending } } } where
+ * counted is the number of emails with a known reward and reward is their
+ * sum.
+ */
+export function getVariantStats({
+  replyWindowDays = DEFAULT_REPLY_WINDOW_DAYS,
+} = {}) {
+  const stats = Object.fromEntries(
+    Object.keys(VARIANT_DIMENSIONS).map((dimension) => [dimension, {}])
+  );
+  const now = Date.now();
+
+  for (const id of listIds("sent")) {
+    const record = readJson(path.join(DIRS.sent, `${id}.json`));
+    if (!record) continue;
+
+    const reward = getReward(record, replyWindowDays, now);
+    const outcome =
+      record.outcome || (reward === undefined ? "pending" : "no_reply");
+
+    for (const [dimension, variantId] of Object.entries(
+      getVariantIds(record)
+    )) {
+      if (variantId === null) continue;
+      const entry = (stats[dimension][variantId] ||= {
+        sent: 0,
+        counted: 0,
+        reward: 0,
+        positive: 0,
+        replied: 0,
+        negative: 0,
+        no_reply: 0,
+        bounced: 0,
+        pending: 0,
+      });
+      entry.sent++;
+      entry[outcome] = (entry[outcome] || 0) + 1;
+      if (reward !== undefined && reward !== null) {
+        entry.counted++;
+        entry.reward += reward;
+      }
+    }
+  }
+
+  return stats;
+}
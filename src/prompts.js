@@ -0,0 +1,215 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { DIRS } from "./utils.js";
+
+// Prompt templates live next to variants.json:
+//   templates/prompts/<name>.md           full prompts
+//   templates/prompts/partials/<name>.md  pieces included with {{> name}}
+export const PROMPTS_DIR = path.join(DIRS.templates, "prompts");
+const PARTIALS_DIR = path.join(PROMPTS_DIR, "partials");
+
+export const DEFAULT_PROMPT = "default";
+
+// Partials can include partials, but not forever
+const MAX_PARTIAL_DEPTH = 10;
+
+/**
+ * Split "---\nkey: value\n---\n" front matter off a template
+ */
+function parseFrontMatter(text) {
+  const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) return { meta: {}, body: text };
+
+  const meta = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    const field = line.match(/^\s*([\w-]+)\s*:\s*(.*?)\s*$/);
+    if (field) meta[field[1]] = field[2];
+  }
+  return { meta, body: text.slice(match[0].length) };
+}
+
+/**
+ * Read a partial's text, or throw naming the prompt that wanted it
+ */
+function readPartial(name, promptName) {
+  const filepath = path.join(PARTIALS_DIR, `${name}.md`);
+  if (!/^[\w-]+$/.test(name) || !fs.existsSync(filepath)) {
+    throw new Error(
+      `Prompt "${promptName}" includes unknown partial "${name}" (expected ${filepath})`
+    );
+  }
+  // The include tag already ends its line
+  return parseFrontMatter(fs.readFileSync(filepath, "utf-8")).body.replace(
+    /\r?\n$/,
+    ""
+  );
+}
+
+/**
+ * Inline {{> partial}} includes, recursively
+ */
+function expandPartials(text, promptName, depth = 0) {
+  if (depth > MAX_PARTIAL_DEPTH) {
+    throw new Error(`Prompt "${promptName}": partials nested too deeply`);
+  }
+  return text.replace(/\{\{>\s*([^}\s]+)\s*\}\}/g, (_, name) =>
+    expandPartials(readPartial(name, promptName), promptName, depth + 1)
+  );
+}
+
+/**
+ * Look up a dotted path ("pi.name") in the context
+ */
+function lookup(context, key) {
+  return key
+    .split(".")
+    .reduce(
+      (value, part) =>
+        value === undefined || value === null ? undefined : value[part],
+      context
+    );
+}
+
+/**
+ * Check whether a value counts as set for {{#if}}: not missing, false,
+ * empty string or empty array
+ */
+function isTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return (
+    value !== undefined && value !== null && value !== false && value !== ""
+  );
+}
+
+/**
+ * Find the {{else}} and {{/if}} / {{/unless}} that close a block opened at
+ * `from`, skipping nested blocks
+ */
+function findBlockEnd(text, from, promptName) {
+  const tag = /\{\{\s*(#if|#unless|else|\/if|\/unless)\b[^}]*\}\}/g;
+  tag.lastIndex = from;
+  let depth = 0;
+  let elseTag = null;
+
+  for (let m = tag.exec(text); m; m = tag.exec(text)) {
+    const kind = m[1];
+    if (kind === "#if" || kind === "#unless") {
+      depth++;
+    } else if (kind === "else") {
+      if (depth === 0 && !elseTag) elseTag = m;
+    } else if (depth > 0) {
+      depth--;
+    } else {
+      return { elseTag, endTag: m };
+    }
+  }
+  throw new Error(`Prompt "${promptName}": unclosed {{#if}} or {{#unless}}`);
+}
+
+/**
+ * Render conditionals and placeholders against the context.
+ * {{key}} and {{a.b}} insert values (unknown keys are an error, so typos
+ * don't silently produce a blank); {{#if key}}...{{else}}...{{/if}} and
+ * {{#unless key}}...{{/unless}} keep or drop text.
+ */
+function renderText(text, context, promptName) {
+  // Values are inserted into literal text only, so an abstract containing
+  // "{{" is never read as a tag
+  const substitute = (literal) =>
+    literal.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, key) => {
+      const value = lookup(context, key);
+      if (value === undefined) {
+        throw new Error(`Prompt "${promptName}" uses unknown field {{${key}}}`);
+      }
+      return value === null ? "" : String(value);
+    });
+
+  let output = "";
+  let i = 0;
+  const open = /\{\{\s*#(if|unless)\s+([\w.]+)\s*\}\}/g;
+
+  for (let m = open.exec(text); m; m = open.exec(text)) {
+    output += substitute(text.slice(i, m.index));
+    const start = m.index + m[0].length;
+    const { elseTag, endTag } = findBlockEnd(text, start, promptName);
+
+    const thenText = text.slice(start, elseTag ? elseTag.index : endTag.index);
+    const elseText = elseTag
+      ? text.slice(elseTag.index + elseTag[0].length, endTag.index)
+      : "";
+    const keep = isTruthy(lookup(context, m[2])) === (m[1] === "if");
+    output += renderText(keep ? thenText : elseText, context, promptName);
+
+    i = endTag.index + endTag[0].length;
+    open.lastIndex = i;
+  }
+  return output + substitute(text.slice(i));
+}
+
+/**
+ * Block tags on a line of their own take the line with them, so
+ * conditionals don't leave blank lines behind
+ */
+function stripStandaloneTags(text) {
+  return text.replace(
+    /^[ \t]*(\{\{\s*(?:#if|#unless|else|\/if|\/unless)\b[^}]*\}\})[ \t]*\r?\n/gm,
+    "$1"
+  );
+}
+
+/**
+ * List the prompt names in templates/prompts
+ */
+export function listPrompts() {
+  if (!fs.existsSync(PROMPTS_DIR)) return [];
+  return fs
+    .readdirSync(PROMPTS_DIR)
+    .filter((f) => f.endsWith(".md"))
+    .map((f) => path.basename(f, ".md"))
+    .sort();
+}
+
+/**
+ * Prompt name from PROMPT in .env, else "default"
+ */
+export function getPromptName() {
+  return (process.env.PROMPT || "").trim() || DEFAULT_PROMPT;
+}
+
+/**
+ * Load a prompt template by name. Front matter gives its version:
+ *
+ *   ---
+ *   version: 2025-11-a
+ *   ---
+ *
+ * Returns { name, version, hash, render(context) }. hash covers the prompt
+ * and every partial it includes, so edits made without bumping the version
+ * still show up in drafts.
+ */
+export function loadPrompt(name = getPromptName()) {
+  const filepath = path.join(PROMPTS_DIR, `${name}.md`);
+  if (!/^[\w-]+$/.test(name) || !fs.existsSync(filepath)) {
+    const available = listPrompts();
+    throw new Error(
+      `Prompt "${name}" not found in ${PROMPTS_DIR}` +
+        (available.length > 0 ? ` (available: ${available.join(", ")})` : "")
+    );
+  }
+
+  const { meta, body } = parseFrontMatter(fs.readFileSync(filepath, "utf-8"));
+  const source = stripStandaloneTags(expandPartials(body, name));
+  const hash = crypto
+    .createHash("sha256")
+    .update(source)
+    .digest("hex")
+    .slice(0, 8);
+
+  return {
+    name,
+    version: meta.version || "unversioned",
+    hash,
+    render: (context) => renderText(source, context, name).trim(),
+  };
+}
@@ -0,0 +1,357 @@
+// Fields a query term can be scoped to with a "field:" prefix
+const FIELDS = ["title", "abstract", "program"];
+
+// Relevance scoring (BM25) parameters; title matches count double
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const FIELD_WEIGHTS = { title: 2, abstract: 1 };
+
+/**
+ * Split text into lowercase word tokens (HTML tags and punctuation dropped)
+ */
+export function tokenize(text) {
+  if (!text) return [];
+  return text
+    .replace(/<[^>]*>/g, " ")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Break a query string into lexical tokens
+ */
+function lex(input) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    const ch = input[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === "(" || ch === ")" || ch === ",") {
+      tokens.push({ type: ch });
+      i++;
+    } else if (ch === '"') {
+      const end = input.indexOf('"', i + 1);
+      if (end === -1) {
+        throw new Error("Invalid query: unterminated quote");
+      }
+      tokens.push({ type: "phrase", value: input.slice(i + 1, end) });
+      i = end + 1;
+    } else if (ch === "-" && /[^\s-]/.test(input[i + 1] || "")) {
+      // "-term" is shorthand for NOT term
+      tokens.push({ type: "NOT" });
+      i++;
+    } else {
+      let j = i;
+      while (j < input.length && !/[\s()",]/.test(input[j])) j++;
+      const word = input.slice(i, j);
+      i = j;
+
+      const field = word.match(/^([a-z]+):$/i);
+      const fieldWithValue = word.match(/^([a-z]+):(.+)$/i);
+      if (field && FIELDS.includes(field[1].toLowerCase())) {
+        tokens.push({ type: "field", value: field[1].toLowerCase() });
+      } else if (
+        fieldWithValue &&
+        FIELDS.includes(fieldWithValue[1].toLowerCase())
+      ) {
+        tokens.push({ type: "field", value: fieldWithValue[1].toLowerCase() });
+        tokens.push({ type: "word", value: fieldWithValue[2] });
+      } else if (word === "AND" || word === "OR" || word === "NOT") {
+        tokens.push({ type: word });
+      } else {
+        tokens.push({ type: "word", value: word });
+      }
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Build a term node from a word or phrase
+ */
+function makeTerm(text, field, isPhrase) {
+  const prefix = !isPhrase && text.endsWith("*");
+  const tokens = tokenize(prefix ? text.slice(0, -1) : text);
+  if (tokens.length === 0) return null;
+  return { type: "term", field, tokens, prefix, text };
+}
+
+/**
+ * Recursive-descent parser over the token list
+ *
+ *   or   := and (("OR" | ",") and)*
+ *   and  := not (["AND"] not)*
+ *   not  := ("NOT" | "-") not | atom
+ *   atom := [field ":"] (word | "phrase" | "(" or ")")
+ */
+function parseTokens(tokens) {
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+
+  function parseOr(field) {
+    const children = [parseAnd(field)];
+    while (peek() && (peek().type === "OR" || peek().type === ",")) {
+      next();
+      children.push(parseAnd(field));
+    }
+    return simplify("or", children);
+  }
+
+  function parseAnd(field) {
+    const children = [parseNot(field)];
+    while (
+      peek() &&
+      peek().type !== "OR" &&
+      peek().type !== "," &&
+      peek().type !== ")"
+    ) {
+      if (peek().type === "AND") next();
+      children.push(parseNot(field));
+    }
+    return simplify("and", children);
+  }
+
+  function parseNot(field) {
+    if (peek() && peek().type === "NOT") {
+      next();
+      const child = parseNot(field);
+      return child ? { type: "not", child } : null;
+    }
+    return parseAtom(field);
+  }
+
+  function parseAtom(field) {
+    const token = next();
+    if (!token) {
+      throw new Error("Invalid query: unexpected end of query");
+    }
+
+    if (token.type === "field") {
+      return parseAtom(token.value);
+    }
+    if (token.type === "(") {
+      const node = parseOr(field);
+      if (!peek() || next().type !== ")") {
+        throw new Error('Invalid query: missing ")"');
+      }
+      return node;
+    }
+    if (token.type === "word" || token.type === "phrase") {
+      return makeTerm(token.value, field, token.type === "phrase");
+    }
+
+    throw new Error(
+      `Invalid query: unexpected ${token.type === "," ? '","' : token.type}`
+    );
+  }
+
+  // Drop empty terms (pure punctuation) and collapse single-child groups
+  function simplify(type, children) {
+    const kept = children.filter(Boolean);
+    if (kept.length === 0) return null;
+    if (kept.length === 1) return kept[0];
+    return { type, children: kept };
+  }
+
+  const root = parseOr(null);
+  if (pos < tokens.length) {
+    throw new Error(`Invalid query: unexpected "${tokens[pos].type}"`);
+  }
+  return root;
+}
+
+/**
+ * Collect terms that count toward relevance (not under a NOT)
+ */
+function collectTerms(node, negated = false, terms = []) {
+  if (!node) return terms;
+  if (node.type === "term") {
+    if (!negated) terms.push(node);
+  } else if (node.type === "not") {
+    collectTerms(node.child, !negated, terms);
+  } else {
+    node.children.forEach((child) => collectTerms(child, negated, terms));
+  }
+  return terms;
+}
+
+/**
+ * Parse a keyword query.
+ * Supports "quoted phrases", AND/OR/NOT (or -term), parentheses, prefix*
+ * wildcards, commas as OR, and title:/abstract:/program: field prefixes.
+ * Returns null for an empty query; throws on syntax errors.
+ */
+export function parseQuery(input) {
+  if (!input || !input.trim()) return null;
+
+  const root = parseTokens(lex(input));
+  if (!root) return null;
+
+  return { source: input.trim(), root, terms: collectTerms(root) };
+}
+
+/**
+ * Tokenize the searchable fields of an award
+ */
+function getDocument(award) {
+  const programs = (award.pgm_ele || []).map((p) => p.pgm_ele_name).join(" ");
+  return {
+    title: tokenize(award.title || award.awd_titl_txt),
+    abstract: tokenize(award.abstractText || award.awd_abstract_narration),
+    program: tokenize(programs),
+  };
+}
+
+/**
+ * Count occurrences of a term's token sequence in a token list
+ */
+function countMatches(words, term) {
+  const { tokens, prefix } = term;
+  const last = tokens.length - 1;
+  let count = 0;
+
+  for (let i = 0; i + last < words.length; i++) {
+    let matched = true;
+    for (let j = 0; j <= last; j++) {
+      const word = words[i + j];
+      const ok =
+        prefix && j === last ? word.startsWith(tokens[j]) : word === tokens[j];
+      if (!ok) {
+        matched = false;
+        break;
+      }
+    }
+    if (matched) count++;
+  }
+
+  return count;
+}
+
+/**
+ * Fields a term is searched in
+ */
+function termFields(term) {
+  return term.field ? [term.field] : ["title", "abstract"];
+}
+
+/**
+ * Evaluate a query node against a tokenized award
+ */
+function evaluate(node, doc) {
+  switch (node.type) {
+    case "term":
+      return termFields(node).some((f) => countMatches(doc[f], node) > 0);
+    case "not":
+      return !evaluate(node.child, doc);
+    case "and":
+      return node.children.every((child) => evaluate(child, doc));
+    case "or":
+      return node.children.some((child) => evaluate(child, doc));
+    default:
+      return false;
+  }
+}
+
+/**
+ * Check if an award matches a parsed query (no query matches everything)
+ */
+export function matchesQuery(award, query) {
+  if (!query) return true;
+  return evaluate(query.root, getDocument(award));
+}
+
+/**
+ * Filter awards by a parsed query and rank matches by BM25 relevance over
+ * title and abstract. Sets _score and _matchedTerms on each returned award.
+ * Document frequencies come from the full list passed in, so pass the whole
+ * year before applying other filters.
+ */
+export function searchAwards(awards, query) {
+  if (!query) return awards;
+
+  const docs = awards.map(getDocument);
+  const avgLength = {};
+  for (const field of Object.keys(FIELD_WEIGHTS)) {
+    const total = docs.reduce((sum, doc) => sum + doc[field].length, 0);
+    avgLength[field] = total / (docs.length || 1) || 1;
+  }
+
+  // Score each distinct positive term once per field
+  const seen = new Set();
+  const scoredTerms = query.terms.filter((term) => {
+    const key = `${term.field}:${term.prefix}:${term.tokens.join(" ")}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  const termCounts = scoredTerms.map((term) =>
+    docs.map((doc) => {
+      const counts = {};
+      for (const field of termFields(term)) {
+        counts[field] = countMatches(doc[field], term);
+      }
+      return counts;
+    })
+  );
+  const idf = termCounts.map((counts) => {
+    const df = counts.filter((c) => Object.values(c).some((n) => n > 0)).length;
+    return Math.log(1 + (docs.length - df + 0.5) / (df + 0.5));
+  });
+
+  const results = [];
+  awards.forEach((award, d) => {
+    if (!evaluate(query.root, docs[d])) return;
+
+    let score = 0;
+    const matchedTerms = [];
+    scoredTerms.forEach((term, t) => {
+      const counts = termCounts[t][d];
+      let matched = false;
+      for (const [field, tf] of Object.entries(counts)) {
+        if (tf === 0) continue;
+        matched = true;
+        if (!FIELD_WEIGHTS[field]) continue;
+        const norm =
+          1 - BM25_B + (BM25_B * docs[d][field].length) / avgLength[field];
+        score +=
+          FIELD_WEIGHTS[field] *
+          idf[t] *
+          ((tf * (BM25_K1 + 1)) / (tf + BM25_K1 * norm));
+      }
+      if (matched) matchedTerms.push(term);
+    });
+
+    award._score = Math.round(score * 100) / 100;
+    award._matchedTerms = matchedTerms;
+    results.push(award);
+  });
+
+  return results.sort((a, b) => b._score - a._score);
+}
+
+/**
+ * Build one regex matching whole-word occurrences of any of the given terms
+ * in raw text (for highlighting). Returns null when there is nothing to match.
+ */
+export function buildTermsRegex(terms) {
+  if (!terms || terms.length === 0) return null;
+
+  const patterns = terms.map((term) => {
+    const parts = term.tokens.map((token) =>
+      token.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+    );
+    const tail = term.prefix ? "[a-z0-9]*" : "";
+    return `${parts.join("[^a-z0-9]+")}${tail}`;
+  });
+
+  // Longest first so phrases win over their individual words
+  patterns.sort((a, b) => b.length - a.length);
+  return new RegExp(`(?<![a-z0-9])(?:${patterns.join("|")})(?![a-z0-9])`, "gi");
+}
@@ -0,0 +1,49 @@
+import crypto from "crypto";
+
+/**
+ * New seed for a run that wasn't given one, so every run can be replayed
+ */
+export function createSeed() {
+  return String(crypto.randomInt(1, 2 ** 31));
+}
+
+/**
+ * 32-bit FNV-1a hash of a string
+ */
+function hashSeed(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Seeded PRNG (mulberry32) returning floats in [0, 1) like Math.random.
+ * The same seed always gives the same sequence. Derive a separate stream
+ * per use ("<seed>:awards") so drawing more numbers for one thing doesn't
+ * shift another.
+ */
+export function createRandom(seed) {
+  let state = hashSeed(String(seed));
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Shuffle an array using Fisher-Yates algorithm
+ */
+export function shuffleArray(arr, random = Math.random) {
+  const shuffled = [...arr];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
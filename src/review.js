@@ -1,9 +1,42 @@
 import fs from "fs";
+import os from "os";
 import path from "path";
 import readline from "readline";
 import { execSync } from "child_process";
 import chalk from "chalk";
-import { DIRS, readJson, listIds, moveFile, ensureDirs } from "./utils.js";
+import {
+  DIRS,
+  readJson,
+  writeJson,
+  listIds,
+  moveFile,
+  ensureDirs,
+} from "./utils.js";
+import {
+  SALUTATIONS,
+  parseName,
+  getSalutation,
+  getSalutationPolicy,
+  applySalutation,
+  getNameOverride,
+  saveNameOverride,
+  applyNameOverride,
+  snapshotNameOverrides,
+  restoreNameOverrides,
+} from "./names.js";
+import { checkEmail } from "./email-check.js";
+import { LINT_RULES, describeViolations } from "./lint.js";
+import { regenerateDraft } from "./generate.js";
+import { formatEditText, parseEditText, applyHumanEdit } from "./edit.js";
+
+// Why a draft was skipped, picked by number when skipping in review and
+// saved on the record as skip_reason
+export const SKIP_REASONS = {
+  not_computational: "Not computational",
+  wrong_person: "Wrong person",
+  bad_draft: "Bad draft",
+  already_user: "Already a user",
+};
 
 /**
  * Display a single email
@@ -16,12 +49,45 @@ function displayEmail(email, index, total, folder) {
   );
   console.log(chalk.dim("─".repeat(70)));
   console.log(`${chalk.cyan("To:")} ${email.pi_name} <${email.pi_email}>`);
+  checkEmail(email.pi_email, { institution: email.institution }).issues.forEach(
+    ({ severity, message }) => {
+      const color = severity === "error" ? chalk.red : chalk.yellow;
+      console.log(color(`⚠️  ${message}`));
+    }
+  );
+  if (email.pi_role && email.pi_role !== "Principal Investigator") {
+    console.log(`${chalk.cyan("Role:")} ${email.pi_role}`);
+  }
   console.log(`${chalk.cyan("Institution:")} ${email.institution}`);
   console.log(`${chalk.cyan("Subject:")} ${email.subject}`);
+  if (email.candidates) {
+    const { judge } = email.candidates[email.candidate_index];
+    console.log(
+      `${chalk.cyan("Candidate:")} ${email.candidate_index + 1} of ${
+        email.candidates.length
+      }` +
+        (judge
+          ? chalk.dim(
+              ` (judge: #${judge.rank}, ${judge.score ?? "?"}/10 - ${
+                judge.reason
+              })`
+            )
+          : "")
+    );
+    if (email.judge?.error) {
+      console.log(chalk.yellow(`⚠️  Judge failed: ${email.judge.error}`));
+    }
+  }
   console.log(chalk.dim("─".repeat(70)));
   console.log();
   console.log(email.body);
   console.log();
+  if (email.lint?.violations.length > 0) {
+    email.lint.violations.forEach(({ code, message }) => {
+      console.log(chalk.yellow(`⚠️  ${LINT_RULES[code] || code}: ${message}`));
+    });
+    console.log();
+  }
   console.log(chalk.dim("─".repeat(70)));
   const amountStr = email.award_amount
     ? `$${email.award_amount.toLocaleString()}`
@@ -47,24 +113,259 @@ function displayEmail(email, index, total, folder) {
     );
   }
 
+  if (email.llm) {
+    console.log(
+      `${chalk.dim("Model:")} ${email.llm.provider}/${email.llm.model}`
+    );
+  }
+
+  if (email.history?.length > 0) {
+    console.log(
+      `${chalk.dim("Version:")} ${email.history.length + 1}` +
+        chalk.dim(` (last feedback: "${email.feedback}")`)
+    );
+  }
+
+  if (email.human_edit) {
+    console.log(
+      `${chalk.dim("Edited:")} ${email.human_edit.edits} time${
+        email.human_edit.edits === 1 ? "" : "s"
+      } by hand` +
+        (email.human_edit.subject_changed ? chalk.dim(" (subject too)") : "")
+    );
+  }
+
+  if (email.collaborative) {
+    const c = email.collaborative;
+    console.log(
+      `${chalk.magenta("Collaborative:")} site ${c.position} of ${c.size}` +
+        chalk.dim(` (policy: ${c.policy})`)
+    );
+    c.siblings.forEach((s) => {
+      console.log(
+        chalk.dim(
+          `   ${s.award_id}  ${s.pi_name} <${s.pi_email}>, ${s.institution}`
+        )
+      );
+    });
+  }
+  if (email.collaborative?.stagger_days) {
+    console.log(
+      `${chalk.dim("Send after:")} the lead site, then ${
+        email.collaborative.stagger_days
+      } days after the group's last send`
+    );
+  }
+  if (email.skipped_at) {
+    console.log(
+      `${chalk.dim("Skipped:")} ${
+        SKIP_REASONS[email.skip_reason] || "no reason given"
+      }` + chalk.dim(` (${email.skipped_at.slice(0, 10)})`)
+    );
+  }
+
   console.log();
   console.log(chalk.dim("─".repeat(70)));
   console.log();
+  // Approve, skip and regenerate are for drafts; approved and skipped
+  // emails can go back to drafts; sent ones are only viewed
+  const actions = [];
+  if (folder === "drafts") {
+    actions.push(chalk.green("a") + " Approve", chalk.red("s") + " Skip");
+  } else if (folder !== "sent") {
+    actions.push(chalk.green("d") + " Back to drafts");
+  }
+  if (folder !== "sent") {
+    actions.push(chalk.yellow("e") + " Edit", chalk.cyan("n") + " Name");
+  }
+  if (folder === "drafts") {
+    actions.push(chalk.magenta("r") + " Regenerate");
+    if (email.candidates) actions.push(chalk.blue("c") + " Next candidate");
+  }
+  actions.push(chalk.dim("u") + " Undo", chalk.dim("q") + " Quit");
   console.log(
-    chalk.dim("  ←/→ or j/k") +
-      "  Navigate    " +
-      chalk.green("a") +
-      " Approve    " +
-      chalk.red("s") +
-      " Skip    " +
-      chalk.yellow("e") +
-      " Edit    " +
-      chalk.dim("q") +
-      " Quit"
+    chalk.dim("  ←/→ or j/k") + "  Navigate    " + actions.join("    ")
   );
   console.log();
 }
 
+/**
+ * Ask for a line of input (stdin must be out of raw mode)
+ */
+function ask(question) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer.trim());
+    });
+  });
+}
+
+/**
+ * Prompt for a corrected name and salutation for the email's recipient,
+ * save it as their override, and re-greet the email. Blank answers keep the
+ * current value.
+ */
+async function promptNameOverride(email) {
+  const person = { email: email.pi_email, nsfId: email.pi_nsf_id };
+  const existing = getNameOverride(person) || {};
+  const name = applyNameOverride(parseName({ full: email.pi_name }), existing);
+  const currentPolicy = existing.salutation || getSalutationPolicy();
+
+  console.log(chalk.bold(`\nName for ${email.pi_email}`));
+  const first = await ask(`First name to greet [${name.preferred}]: `);
+  const last = await ask(`Surname [${name.last}]: `);
+  let policy = (
+    await ask(
+      `Salutation (${Object.keys(SALUTATIONS).join(", ")}) [${currentPolicy}]: `
+    )
+  ).toLowerCase();
+  if (policy && !SALUTATIONS[policy]) {
+    console.log(chalk.yellow(`Unknown salutation "${policy}", keeping it`));
+    policy = "";
+  }
+
+  const override = saveNameOverride(person, {
+    first: first || existing.first || null,
+    last: last || existing.last || null,
+    salutation: policy || existing.salutation || null,
+  });
+
+  const updated = applyNameOverride(name, override);
+  const salutation = getSalutation(
+    updated,
+    override.salutation || getSalutationPolicy()
+  );
+  return {
+    ...email,
+    pi_name: updated.full,
+    salutation,
+    body: applySalutation(email.body, salutation),
+    ...(email.candidates && {
+      candidates: email.candidates.map((c) => ({
+        ...c,
+        body: applySalutation(c.body, salutation),
+      })),
+    }),
+  };
+}
+
+/**
+ * Switch to the next candidate (see generate --candidates). The current one
+ * keeps any edits made to it; the next one's subject, body, variants and
+ * lint become the draft's.
+ */
+function nextCandidate(email) {
+  const candidates = email.candidates.map((c, i) =>
+    i === email.candidate_index
+      ? { ...c, subject: email.subject, body: email.body }
+      : c
+  );
+  const index = (email.candidate_index + 1) % candidates.length;
+  const next = candidates[index];
+  return {
+    ...email,
+    candidates,
+    candidate_index: index,
+    subject: next.subject,
+    body: next.body,
+    variants: next.variants,
+    lint: next.lint,
+  };
+}
+
+/**
+ * Ask for the reviewer's feedback and whether to keep the variants, then
+ * regenerate the draft (see regenerateDraft). Returns the updated email, or
+ * null if no feedback was given.
+ */
+async function promptRegenerate(email) {
+  console.log(chalk.bold(`\nRegenerate ${email.draft_id || email.award_id}`));
+  const feedback = await ask(
+    'What should change? (e.g. "less salesy, mention their GPU simulations"): '
+  );
+  if (!feedback) {
+    console.log(chalk.dim("No feedback, keeping the draft"));
+    await new Promise((r) => setTimeout(r, 700));
+    return null;
+  }
+  const reroll = /^r/i.test(await ask("Variants: (k)eep or (r)e-roll [k]: "));
+
+  console.log(chalk.dim("\nRegenerating..."));
+  return regenerateDraft(email, {
+    feedback,
+    reroll,
+    onRegenerate: ({ attempt, violations }) =>
+      console.log(
+        chalk.dim(
+          `   attempt ${attempt} broke lint (${describeViolations(
+            violations
+          )}), regenerating`
+        )
+      ),
+  });
+}
+
+/**
+ * Edit the subject and body as plain text in $EDITOR (see edit.js). Text
+ * that doesn't parse can go back to the editor or be discarded; the draft
+ * is only replaced by a valid edit. Returns the updated email, or null if
+ * nothing changed.
+ */
+async function promptEdit(email, id) {
+  const editor = process.env.EDITOR || "vim";
+  const original = formatEditText(email);
+  const tmpPath = path.join(
+    os.tmpdir(),
+    `nsf-outreach-${id}-${process.pid}.txt`
+  );
+  fs.writeFileSync(tmpPath, original);
+
+  try {
+    for (;;) {
+      try {
+        execSync(`${editor} "${tmpPath}"`, { stdio: "inherit" });
+      } catch {
+        console.log(chalk.yellow(`\nCouldn't run ${editor}; edit ${tmpPath}`));
+      }
+
+      // Editors that open a window and return straight away leave the
+      // file as it was until the reviewer saves
+      if (fs.readFileSync(tmpPath, "utf-8") === original) {
+        await ask(
+          chalk.dim("No changes yet. Press Enter once saved (or to keep it): ")
+        );
+      }
+      const text = fs.readFileSync(tmpPath, "utf-8");
+      if (text === original) {
+        console.log(chalk.dim("No changes, keeping the draft"));
+        await new Promise((r) => setTimeout(r, 700));
+        return null;
+      }
+
+      try {
+        return applyHumanEdit(email, parseEditText(text));
+      } catch (err) {
+        console.log(chalk.red(`\n❌ ${err.message}`));
+        const answer = await ask(
+          "(e)dit again or (d)iscard your changes [e]: "
+        );
+        if (/^d/i.test(answer)) {
+          console.log(chalk.dim("Kept the previous version"));
+          await new Promise((r) => setTimeout(r, 700));
+          return null;
+        }
+      }
+    }
+  } finally {
+    fs.rmSync(tmpPath, { force: true });
+  }
+}
+
 /**
  * Interactive review session
  */
@@ -94,6 +395,23 @@ export async function startReview(folder = "drafts") {
   let currentIndex = 0;
   let running = true;
 
+  // Session undo stack: each entry is a record as it was before an action,
+  // with its place in the list, the folder the action moved it to, if any,
+  // and for a name change the recipient's name overrides before it
+  const undoStack = [];
+  const pushUndo = (current, label, options = {}) => {
+    const { movedTo = null, nameOverrides = null } = options;
+    undoStack.push({
+      id: current.id,
+      filepath: current.filepath,
+      email: structuredClone(current.email),
+      index: currentIndex,
+      label,
+      movedTo,
+      nameOverrides,
+    });
+  };
+
   // Set up raw mode for keyboard input
   readline.emitKeypressEvents(process.stdin);
   if (process.stdin.isTTY) {
@@ -104,6 +422,11 @@ export async function startReview(folder = "drafts") {
     if (emails.length === 0) {
       console.clear();
       console.log(chalk.green("\n✅ All emails reviewed!\n"));
+      // Stay open while the last action can still be undone
+      if (undoStack.length > 0) {
+        console.log(chalk.dim("  u Undo    q Quit\n"));
+        return true;
+      }
       running = false;
       return false;
     }
@@ -132,6 +455,112 @@ export async function startReview(folder = "drafts") {
   };
 
   return new Promise((resolve) => {
+    // Keystrokes belong to a line prompt until it's answered; the screen is
+    // redrawn afterwards
+    const withLinePrompt = async (fn) => {
+      process.stdin.removeListener("keypress", handleKeypress);
+      if (process.stdin.isTTY) {
+        process.stdin.setRawMode(false);
+      }
+
+      try {
+        await fn();
+      } catch (err) {
+        console.log(chalk.red(`\n❌ Error: ${err.message}`));
+        await new Promise((r) => setTimeout(r, 1000));
+      }
+
+      if (process.stdin.isTTY) {
+        process.stdin.setRawMode(true);
+      }
+      process.stdin.resume();
+      process.stdin.on("keypress", handleKeypress);
+      refresh();
+    };
+
+    // Next single keystroke, taken from the review keys
+    const readKey = () =>
+      new Promise((r) => {
+        process.stdin.removeListener("keypress", handleKeypress);
+        process.stdin.once("keypress", (str, key) => {
+          process.stdin.on("keypress", handleKeypress);
+          r({ str, key: key || {} });
+        });
+      });
+
+    // Skip reason by number; Enter skips without one. Resolves with the
+    // reason, null for none, or undefined to cancel the skip.
+    const pickSkipReason = async () => {
+      const keys = Object.keys(SKIP_REASONS);
+      console.log(
+        `\n${chalk.red("Skip reason:")} ` +
+          keys
+            .map((k, i) => `${chalk.bold(i + 1)} ${SKIP_REASONS[k]}`)
+            .join("   ") +
+          chalk.dim("   (Enter: none, Esc: cancel)")
+      );
+      const { str, key } = await readKey();
+      if (key.name === "return" || key.name === "enter") return null;
+      return keys[Number(str) - 1];
+    };
+
+    // Move the current email to another folder, saving updates to the
+    // record first; the move can be undone
+    const moveCurrent = async (toFolder, updates, label, message) => {
+      const current = emails[currentIndex];
+      try {
+        pushUndo(current, label, { movedTo: toFolder });
+        if (updates) {
+          current.email = { ...current.email, ...updates };
+          writeJson(current.filepath, current.email);
+        }
+        moveFile(`${current.id}.json`, folder, toFolder);
+        emails.splice(currentIndex, 1);
+        console.log(message(current.id));
+        await new Promise((r) => setTimeout(r, 300));
+        if (!refresh()) {
+          cleanup();
+          process.stdin.removeListener("keypress", handleKeypress);
+          resolve();
+        }
+      } catch (err) {
+        undoStack.pop();
+        console.log(chalk.red(`\n❌ Error: ${err.message}`));
+      }
+    };
+
+    // Put back the record (and folder) from before the last action
+    const undo = async () => {
+      const entry = undoStack.pop();
+      if (!entry) {
+        console.log(chalk.dim("\nNothing to undo"));
+        await new Promise((r) => setTimeout(r, 500));
+        refresh();
+        return;
+      }
+      try {
+        if (entry.movedTo) {
+          moveFile(`${entry.id}.json`, entry.movedTo, folder);
+          emails.splice(Math.min(entry.index, emails.length), 0, {
+            id: entry.id,
+            email: entry.email,
+            filepath: entry.filepath,
+          });
+        } else {
+          const item = emails.find((e) => e.id === entry.id);
+          if (item) item.email = entry.email;
+        }
+        writeJson(entry.filepath, entry.email);
+        if (entry.nameOverrides) restoreNameOverrides(entry.nameOverrides);
+        currentIndex = emails.findIndex((e) => e.id === entry.id);
+        console.log(chalk.cyan(`\n↩️  Undid ${entry.label} of ${entry.id}`));
+      } catch (err) {
+        console.log(chalk.red(`\n❌ Couldn't undo: ${err.message}`));
+      }
+      await new Promise((r) => setTimeout(r, 500));
+      refresh();
+    };
+
     const handleKeypress = async (str, key) => {
       if (!running) return;
 
@@ -145,6 +574,14 @@ export async function startReview(folder = "drafts") {
         return;
       }
 
+      if (str === "u") {
+        await undo();
+        return;
+      }
+
+      // Only undo and quit once everything is reviewed
+      if (emails.length === 0) return;
+
       if (key.name === "right" || key.name === "l" || str === "l") {
         currentIndex = Math.min(currentIndex + 1, emails.length - 1);
         refresh();
@@ -167,68 +604,103 @@ export async function startReview(folder = "drafts") {
 
       // Approve - move to approved/
       if (str === "a" && folder === "drafts") {
-        const current = emails[currentIndex];
-        try {
-          moveFile(`${current.id}.json`, "drafts", "approved");
-          emails.splice(currentIndex, 1);
-          console.log(chalk.green(`\n✅ Approved ${current.id}`));
-          await new Promise((r) => setTimeout(r, 300));
-          if (!refresh()) {
-            cleanup();
-            process.stdin.removeListener("keypress", handleKeypress);
-            resolve();
-          }
-        } catch (err) {
-          console.log(chalk.red(`\n❌ Error: ${err.message}`));
-        }
+        const { email } = emails[currentIndex];
+        await moveCurrent(
+          "approved",
+          // Which candidate won, for learning from reviewers' choices
+          email.candidates ? { picked_candidate: email.candidate_index } : null,
+          "approve",
+          (id) => chalk.green(`\n✅ Approved ${id}`)
+        );
       }
 
-      // Skip - move to skipped/
+      // Skip - move to skipped/ with a reason
       if (str === "s" && folder === "drafts") {
-        const current = emails[currentIndex];
-        try {
-          moveFile(`${current.id}.json`, "drafts", "skipped");
-          emails.splice(currentIndex, 1);
-          console.log(chalk.yellow(`\n⏭️  Skipped ${current.id}`));
-          await new Promise((r) => setTimeout(r, 300));
-          if (!refresh()) {
-            cleanup();
-            process.stdin.removeListener("keypress", handleKeypress);
-            resolve();
-          }
-        } catch (err) {
-          console.log(chalk.red(`\n❌ Error: ${err.message}`));
+        const reason = await pickSkipReason();
+        if (reason === undefined) {
+          refresh();
+          return;
         }
+        await moveCurrent(
+          "skipped",
+          { skip_reason: reason, skipped_at: new Date().toISOString() },
+          "skip",
+          (id) =>
+            chalk.yellow(
+              `\n⏭️  Skipped ${id}` +
+                (reason ? ` (${SKIP_REASONS[reason]})` : "")
+            )
+        );
       }
 
-      // Edit - open in editor
-      if (str === "e") {
+      // Back to drafts - unapprove or unskip
+      if (str === "d" && (folder === "approved" || folder === "skipped")) {
+        const { email } = emails[currentIndex];
+        const updates =
+          folder === "skipped"
+            ? { skip_reason: undefined, skipped_at: undefined }
+            : email.candidates
+            ? { picked_candidate: null }
+            : null;
+        await moveCurrent(
+          "drafts",
+          updates,
+          folder === "approved" ? "unapprove" : "unskip",
+          (id) => chalk.cyan(`\n↩️  Moved ${id} back to drafts`)
+        );
+      }
+
+      // Candidate - cycle through the drafts generated for this award
+      if (str === "c" && folder === "drafts") {
         const current = emails[currentIndex];
-        if (process.stdin.isTTY) {
-          process.stdin.setRawMode(false);
-        }
-        console.log(chalk.dim(`\nOpening ${current.filepath} in editor...`));
-        console.log(chalk.dim("Press any key when done editing to refresh.\n"));
-
-        const editor = process.env.EDITOR || "vim";
-        try {
-          execSync(`${editor} "${current.filepath}"`, { stdio: "inherit" });
-        } catch {
-          console.log(chalk.yellow(`Open manually: ${current.filepath}`));
+        if (current.email.candidates) {
+          pushUndo(current, "candidate switch");
+          current.email = nextCandidate(current.email);
+          writeJson(current.filepath, current.email);
+          refresh();
         }
+      }
 
-        // Wait for a keypress to continue
-        await new Promise((r) => {
-          if (process.stdin.isTTY) {
-            process.stdin.setRawMode(true);
-          }
-          process.stdin.resume();
-          process.stdin.once("keypress", () => {
-            // Reload the email
-            emails[currentIndex].email = readJson(current.filepath);
-            refresh();
-            r();
+      // Name - correct how the recipient is addressed (saved per contact)
+      if (str === "n" && folder !== "sent") {
+        const current = emails[currentIndex];
+        await withLinePrompt(async () => {
+          const before = current.email;
+          const nameOverrides = snapshotNameOverrides({
+            email: before.pi_email,
+            nsfId: before.pi_nsf_id,
+          });
+          current.email = await promptNameOverride(current.email);
+          pushUndo({ ...current, email: before }, "name change", {
+            nameOverrides,
           });
+          writeJson(current.filepath, current.email);
+        });
+      }
+
+      // Regenerate - new version from the reviewer's feedback, in place
+      if (str === "r" && folder === "drafts") {
+        const current = emails[currentIndex];
+        await withLinePrompt(async () => {
+          const updated = await promptRegenerate(current.email);
+          if (updated) {
+            pushUndo(current, "regeneration");
+            current.email = updated;
+            writeJson(current.filepath, updated);
+          }
+        });
+      }
+
+      // Edit - subject and body as plain text in $EDITOR
+      if (str === "e" && folder !== "sent") {
+        const current = emails[currentIndex];
+        await withLinePrompt(async () => {
+          const updated = await promptEdit(current.email, current.id);
+          if (updated) {
+            pushUndo(current, "edit");
+            current.email = updated;
+            writeJson(current.filepath, updated);
+          }
         });
       }
     };
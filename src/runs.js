@@ -0,0 +1,185 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { DIRS, ensureDirs, listIds, readJson, writeJson } from "./utils.js";
+import {
+  getUnprocessedAwards,
+  loadStagingAwards,
+  filterUnprocessed,
+  getTargetId,
+} from "./awards.js";
+
+// Options that only affect how fast or how far a run goes. A resumed run
+// takes these from its own command line; everything else comes from the
+// journal so the selection and drafts match the original run.
+export const RUNTIME_OPTIONS = [
+  "concurrency",
+  "requestsPerMinute",
+  "tokensPerMinute",
+  "maxSpend",
+  "maxTokens",
+];
+
+// Per-award statuses in a journal
+const PENDING = "pending";
+const STARTED = "started";
+
+/**
+ * New run ID: start time plus a random suffix, e.g. 20251019-142301-3fa2
+ */
+function createRunId() {
+  const stamp = new Date()
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace("T", "-")
+    .slice(0, 15);
+  return `${stamp}-${crypto.randomBytes(2).toString("hex")}`;
+}
+
+/**
+ * Path to a run's journal
+ */
+function getRunPath(runId) {
+  return path.join(DIRS.runs, `${runId}.json`);
+}
+
+/**
+ * Load a run journal by ID, or null
+ */
+export function loadRun(runId) {
+  return readJson(getRunPath(runId));
+}
+
+/**
+ * Start a journal for a generate run. Written to runs/<run-id>.json and
+ * rewritten after every change, so a run that dies still leaves a record
+ * of what it selected and how far it got.
+ *
+ * options are the generate command's options; resumedFrom is the run ID
+ * being resumed. Returns the journal with select(), start(), finish() and
+ * end() methods.
+ */
+export function createRunJournal(options, { resumedFrom = null } = {}) {
+  ensureDirs();
+  const run = {
+    run_id: createRunId(),
+    started_at: new Date().toISOString(),
+    finished_at: null,
+    status: "running",
+    pid: process.pid,
+    resumed_from: resumedFrom,
+    options,
+    awards: [],
+  };
+  const filepath = getRunPath(run.run_id);
+  const byId = new Map();
+  const save = () => writeJson(filepath, run);
+  save();
+
+  return {
+    run,
+    // Record the awards (targets) picked for the run, in processing order
+    select(awards) {
+      run.awards = awards.map((award) => {
+        const entry = {
+          id: getTargetId(award),
+          award_id: award.awardNumber || award._id,
+          status: PENDING,
+          error: null,
+          draft: null,
+          started_at: null,
+          finished_at: null,
+        };
+        byId.set(entry.id, entry);
+        return entry;
+      });
+      save();
+    },
+    start(id) {
+      const entry = byId.get(id);
+      if (!entry) return;
+      entry.status = STARTED;
+      entry.started_at = new Date().toISOString();
+      save();
+    },
+    // status is "generated" or "error"
+    finish(id, { status, error = null, filepath: draft = null }) {
+      const entry = byId.get(id);
+      if (!entry) return;
+      entry.status = status;
+      entry.error = error;
+      entry.draft = draft;
+      entry.finished_at = new Date().toISOString();
+      save();
+    },
+    // status is "completed", "interrupted" or "limit_reached"; extra fields
+    // (usage totals) are saved on the run
+    end(status, extra = {}) {
+      Object.assign(run, extra);
+      run.status = status;
+      run.finished_at = new Date().toISOString();
+      save();
+    },
+  };
+}
+
+/**
+ * Count a run's awards by status. Awards that were started but never
+ * finished (the process died) count as pending.
+ */
+export function summarizeRun(run) {
+  const counts = { total: run.awards.length, generated: 0, error: 0 };
+  for (const entry of run.awards) {
+    if (entry.status === "generated") counts.generated++;
+    else if (entry.status === "error") counts.error++;
+  }
+  counts.pending = counts.total - counts.generated - counts.error;
+  return counts;
+}
+
+/**
+ * Display status for a run: one still marked running whose process is gone
+ * died partway (crash, closed terminal, laptop restart)
+ */
+export function getRunStatus(run) {
+  if (run.status !== "running") return run.status;
+  try {
+    process.kill(run.pid, 0);
+    return "running";
+  } catch (err) {
+    // EPERM: the process exists but belongs to someone else
+    return err.code === "EPERM" ? "running" : "died";
+  }
+}
+
+/**
+ * List all run journals, newest first
+ */
+export function listRuns() {
+  if (!fs.existsSync(DIRS.runs)) return [];
+  return listIds("runs")
+    .map((id) => loadRun(id))
+    .filter(Boolean)
+    .sort((a, b) => b.started_at.localeCompare(a.started_at));
+}
+
+/**
+ * Awards to retry from a run: those that failed or were never finished,
+ * in the run's original order, reloaded from the same source (year folder
+ * or staging). Awards that have since been drafted, approved, sent or
+ * skipped are left out.
+ */
+export function getResumeTargets(run) {
+  const remaining = run.awards
+    .filter((entry) => entry.status !== "generated")
+    .map((entry) => entry.id);
+  if (remaining.length === 0) return [];
+
+  const { year, fromStaging, role = "pi" } = run.options;
+  const candidates = fromStaging
+    ? filterUnprocessed(loadStagingAwards())
+    : getUnprocessedAwards(year, null, null, role);
+  const byId = new Map(candidates.map((award) => [getTargetId(award), award]));
+
+  return remaining.map((id) => byId.get(id)).filter(Boolean);
+}
@@ -0,0 +1,159 @@
+import fs from "fs";
+import path from "path";
+import { DIRS } from "./utils.js";
+import { getLLMConfig, createProvider } from "./llm.js";
+import {
+  loadSidecar,
+  hashText,
+  getInputHash,
+  annotateAwards,
+} from "./annotate.js";
+import { CATEGORIES } from "./classify.js";
+
+// Fit scores live next to the award index, keyed by award ID. Each keeps a
+// hash of the award text and of the ideal-customer profile it was scored
+// against, so editing either one makes the award due for scoring again.
+export const SCORES_PATH = path.join(DIRS.awards, ".scores.json");
+
+// Who Ouro is for, in plain prose (edit to retarget outreach)
+export const PROFILE_PATH = path.join(DIRS.templates, "ideal-customer.md");
+
+/**
+ * Tool definition for structured fit-score output
+ */
+const SCORE_TOOL = {
+  name: "score_fit",
+  description: "Rate how well an NSF award fits the ideal customer profile",
+  input_schema: {
+    type: "object",
+    properties: {
+      score: {
+        type: "integer",
+        description: "0 (Ouro is irrelevant to this work) to 10 (ideal fit)",
+      },
+      rationale: {
+        type: "string",
+        description: "One or two sentences on why, specific to this award",
+      },
+    },
+    required: ["score", "rationale"],
+  },
+};
+
+let profile = null;
+
+/**
+ * Load the ideal-customer profile (once per process) as { text, hash }.
+ * Throws if the file is missing or empty.
+ */
+export function loadProfile() {
+  if (!profile) {
+    const text = fs.existsSync(PROFILE_PATH)
+      ? fs.readFileSync(PROFILE_PATH, "utf-8").trim()
+      : "";
+    if (!text) {
+      throw new Error(
+        `No ideal-customer profile at ${PROFILE_PATH} (describe who Ouro is for there)`
+      );
+    }
+    profile = { text, hash: hashText(text) };
+  }
+  return profile;
+}
+
+/**
+ * Stored fit score for an award, or null if it has none for its current
+ * title and abstract and the current profile
+ */
+export function getFitScore(award) {
+  const stored = loadSidecar(SCORES_PATH)[award.awardNumber || award._id];
+  if (stored?.input_hash !== getInputHash(award)) return null;
+  try {
+    return stored.profile_hash === loadProfile().hash ? stored : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Fit-scoring prompt for the LLM
+ */
+function buildScorePrompt(award, profileText) {
+  const programs = (award.pgm_ele || []).map((p) => p.pgm_ele_name);
+  const classification = award._classification;
+  const classified = classification
+    ? `Classified as: ${CATEGORIES[classification.category]}, computational ${
+        classification.computational_score
+      }/10\n`
+    : "";
+  return `Rate how well this NSF award fits our ideal customer.
+
+Ideal customer:
+${profileText}
+
+Award:
+Title: ${award.title}
+Program: ${programs.join(", ") || "(unknown)"}
+Abstract: ${award.abstractText || "(none)"}
+${classified}
+Score the fit from 0 to 10 and explain it in one or two sentences a person deciding whether to email this researcher would find useful.
+
+Use the score_fit tool.`;
+}
+
+/**
+ * Score an award's fit with the LLM. Returns { fit, usage }.
+ */
+export async function scoreWithLLM(award, provider) {
+  const result = await provider.generate({
+    prompt: buildScorePrompt(award, loadProfile().text),
+    tool: SCORE_TOOL,
+  });
+  const { score, rationale } = result.output;
+  if (!Number.isFinite(Number(score))) {
+    throw new Error(`No score in response: ${score}`);
+  }
+  return {
+    fit: {
+      score: Math.max(0, Math.min(10, Math.round(Number(score)))),
+      rationale: String(rationale || "").trim(),
+    },
+    usage: result.usage,
+  };
+}
+
+/**
+ * Score awards and save the results (also set on each award's _fit).
+ * Awards already scored for their current text and profile are skipped
+ * unless force is set.
+ *
+ * onProgress is called as each award finishes with { completed, total,
+ * awardId, status ("scored" / "error"), fit, error }.
+ * Returns { scored, cached, errors[{ awardId, error }], usage }, with usage
+ * as LLM token and cost totals.
+ */
+export async function scoreAwards(awards, options = {}) {
+  const { llm = getLLMConfig(), ...rest } = options;
+  const { hash: profileHash } = loadProfile();
+  const provider = createProvider(llm);
+  return annotateAwards(awards, {
+    ...rest,
+    path: SCORES_PATH,
+    field: "fit",
+    status: "scored",
+    isCurrent: getFitScore,
+    annotate: (award) => scoreWithLLM(award, provider),
+    provider,
+    extra: { profile_hash: profileHash },
+  });
+}
+
+/**
+ * Sort awards best fit first, unscored last. The sort is stable, so ties
+ * keep their current (e.g. keyword relevance) order.
+ */
+export function sortByFit(awards) {
+  return [...awards].sort(
+    (a, b) => (b._fit?.score ?? -1) - (a._fit?.score ?? -1)
+  );
+}
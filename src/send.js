@@ -10,6 +10,7 @@ import {
   sleep,
   ensureDirs,
 } from "./utils.js";
+import { checkEmailDeliverable, describeEmailIssues } from "./email-check.js";
 
 let resendClient = null;
 
@@ -35,6 +36,57 @@ export function getApprovedEmails() {
     .filter(Boolean);
 }
 
+/**
+ * When each collaborative group was last emailed, by group ID (from sent/)
+ */
+function getGroupSends() {
+  const latest = new Map();
+  for (const id of listIds("sent")) {
+    const record = readJson(path.join(DIRS.sent, `${id}.json`));
+    const groupId = record?.collaborative?.group_id;
+    if (!groupId || !record.sent_at) continue;
+    if (!latest.has(groupId) || record.sent_at > latest.get(groupId)) {
+      latest.set(groupId, record.sent_at);
+    }
+  }
+  return latest;
+}
+
+/**
+ * Filter emails down to the ones due now. Staggered collaborative siblings
+ * (collaborative.stagger_days, see collab.js) wait for the lead site's
+ * email while it's still in drafts/ or approved/, then until the group's
+ * last send is stagger_days old, and go out one per group per run.
+ */
+function filterDue(emails, now) {
+  const groupSends = getGroupSends();
+  const pendingAwardIds = new Set(
+    ["drafts", "approved"].flatMap((folder) =>
+      listIds(folder).map(
+        (id) => readJson(path.join(DIRS[folder], `${id}.json`))?.award_id
+      )
+    )
+  );
+  const claimed = new Set();
+
+  return emails.filter((email) => {
+    const c = email.collaborative;
+    if (!c?.stagger_days) return true;
+    if (claimed.has(c.group_id)) return false;
+
+    const lastSent = groupSends.get(c.group_id);
+    if (lastSent) {
+      const dueAt = new Date(lastSent).getTime() + c.stagger_days * 86400000;
+      if (dueAt > now.getTime()) return false;
+    } else if (pendingAwardIds.has(String(c.lead_award_id))) {
+      return false;
+    }
+
+    claimed.add(c.group_id);
+    return true;
+  });
+}
+
 /**
  * Send a single email via Resend
  */
@@ -92,12 +144,14 @@ export function markAsSent(email, resendId) {
     resend_id: resendId,
   };
 
-  // Write the updated record to sent folder
-  const sentPath = path.join(DIRS.sent, `${email.award_id}.json`);
+  // Write the updated record to sent folder (co-PI drafts are keyed by
+  // award + person)
+  const id = email.draft_id || email.award_id;
+  const sentPath = path.join(DIRS.sent, `${id}.json`);
   writeJson(sentPath, updatedEmail);
 
   // Remove from approved folder
-  const approvedPath = path.join(DIRS.approved, `${email.award_id}.json`);
+  const approvedPath = path.join(DIRS.approved, `${id}.json`);
   if (fs.existsSync(approvedPath)) {
     fs.unlinkSync(approvedPath);
   }
@@ -116,6 +170,7 @@ export async function sendApprovedEmails(options = {}) {
     replyToEmail,
     fromEmail,
     fromName,
+    checkMx = false,
     onProgress,
   } = options;
 
@@ -127,15 +182,40 @@ export async function sendApprovedEmails(options = {}) {
     throw new Error("fromEmail is required");
   }
 
+  // Staggered collaborative siblings wait their turn (see filterDue)
   const emails = getApprovedEmails();
-  const toSend = emails.slice(0, limit);
+  const due = filterDue(emails, new Date());
 
   const results = {
     sent: [],
     errors: [],
+    blocked: [],
+    deferred: emails.length - due.length,
     dryRun,
   };
 
+  // Recipient checks (see email-check.js) - anything error-level stays in
+  // approved/ for a human to fix
+  const sendable = [];
+  for (const email of due) {
+    const check = await checkEmailDeliverable(email.pi_email, {
+      institution: email.institution,
+      checkMx,
+    });
+    if (check.valid) {
+      sendable.push(email);
+    } else {
+      results.blocked.push({
+        awardId: email.award_id,
+        recipient: email.pi_email,
+        error: describeEmailIssues(
+          check.issues.filter((i) => i.severity === "error")
+        ),
+      });
+    }
+  }
+  const toSend = sendable.slice(0, limit);
+
   for (let i = 0; i < toSend.length; i++) {
     const email = toSend[i];
 
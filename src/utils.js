@@ -10,6 +10,7 @@ export const DIRS = {
   skipped: "skipped",
   staging: "staging",
   templates: "templates",
+  runs: "runs",
 };
 
 /**
@@ -73,17 +74,6 @@ export function getEmailPath(awardId, folder) {
   return path.join(DIRS[folder] || folder, `${awardId}.json`);
 }
 
-/**
- * Check if a string contains any of the given keywords (case-insensitive)
- */
-export function matchesKeywords(text, keywords) {
-  if (!keywords || keywords.length === 0) return true;
-  if (!text) return false;
-
-  const lowerText = text.toLowerCase();
-  return keywords.some((kw) => lowerText.includes(kw.toLowerCase()));
-}
-
 /**
  * Sleep for a given number of milliseconds
  */
@@ -0,0 +1,157 @@
+import fs from "fs";
+import path from "path";
+import { DIRS } from "./utils.js";
+import { getAvailableYears, listAwardIds } from "./awards.js";
+import { tokenize } from "./query.js";
+import { checkEmail } from "./email-check.js";
+
+// Issue codes, their severity, and a short label for the report.
+// Errors make validate exit non-zero; warnings only do with --strict.
+export const ISSUE_TYPES = {
+  unparseable: { severity: "error", label: "Unparseable file" },
+  id_mismatch: { severity: "error", label: "File name doesn't match awd_id" },
+  duplicate_id: { severity: "error", label: "Award ID in more than one file" },
+  missing_title: { severity: "error", label: "Missing title" },
+  malformed_email: { severity: "error", label: "Malformed PI email" },
+  missing_abstract: { severity: "warning", label: "Missing abstract" },
+  missing_email: { severity: "warning", label: "No PI email" },
+  html_abstract: { severity: "warning", label: "Abstract mostly HTML" },
+  boilerplate_abstract: {
+    severity: "warning",
+    label: "Abstract mostly boilerplate",
+  },
+};
+
+// Closing sentence NSF appends to every abstract
+const NSF_BOILERPLATE =
+  /This award reflects NSF'?s statutory mission[\s\S]*?review criteria\.?/gi;
+
+// An abstract with fewer words than this once boilerplate is removed says
+// nothing useful about the research
+const MIN_ABSTRACT_WORDS = 30;
+
+// Share of an abstract's characters that may be markup before it's flagged
+const MAX_MARKUP_SHARE = 0.5;
+
+/**
+ * Check the abstract for markup and boilerplate, returning an issue code or
+ * null
+ */
+function checkAbstract(abstract) {
+  const markup = (abstract.match(/<[^>]*>|&[a-z#0-9]+;/gi) || []).join("");
+  if (markup.length / abstract.length > MAX_MARKUP_SHARE) {
+    return "html_abstract";
+  }
+
+  const words = tokenize(abstract.replace(NSF_BOILERPLATE, " "));
+  if (words.length < MIN_ABSTRACT_WORDS) return "boilerplate_abstract";
+
+  return null;
+}
+
+/**
+ * Validate one parsed award file, returning issue codes with details
+ */
+function checkAward(award, id) {
+  const issues = [];
+  const add = (code, detail = null) => issues.push({ code, detail });
+
+  const awardId = String(award.awd_id || award.awardNumber || "");
+  if (awardId !== id) {
+    add("id_mismatch", awardId ? `awd_id is ${awardId}` : "no awd_id");
+  }
+
+  if (!(award.awd_titl_txt || award.title || "").trim()) {
+    add("missing_title");
+  }
+
+  const abstract = award.awd_abstract_narration || award.abstractText || "";
+  if (!abstract.trim()) {
+    add("missing_abstract");
+  } else {
+    const abstractIssue = checkAbstract(abstract);
+    if (abstractIssue) add(abstractIssue);
+  }
+
+  const emails = [
+    ...(award.pi || []).map((p) => p.pi_email_addr),
+    award.piEmail,
+  ].filter((email) => email && String(email).trim());
+  if (emails.length === 0) {
+    add("missing_email");
+  }
+  for (const email of emails) {
+    const { issues } = checkEmail(String(email));
+    if (issues.some((i) => i.code === "invalid_syntax")) {
+      add("malformed_email", email);
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Validate award files in the given year folders (all years by default).
+ * Reads files directly rather than through the index so nothing is
+ * silently skipped. Returns { years, checked, errors, warnings, issues[] }.
+ */
+export function validateAwards({ years } = {}) {
+  const targetYears = (years || getAvailableYears()).map(String);
+  const issues = [];
+  const seenIds = new Map();
+  let checked = 0;
+
+  const report = (code, year, file, detail = null, awardId = null) => {
+    issues.push({
+      code,
+      severity: ISSUE_TYPES[code].severity,
+      year,
+      file,
+      award_id: awardId,
+      detail,
+    });
+  };
+
+  for (const year of targetYears) {
+    for (const id of listAwardIds(year)) {
+      const file = path.join(DIRS.awards, year, `${id}.json`);
+      checked++;
+
+      let award;
+      try {
+        award = JSON.parse(fs.readFileSync(file, "utf-8"));
+      } catch (err) {
+        report("unparseable", year, file, err.message);
+        continue;
+      }
+      if (!award || typeof award !== "object" || Array.isArray(award)) {
+        report("unparseable", year, file, "not a JSON object");
+        continue;
+      }
+
+      const awardId = String(award.awd_id || award.awardNumber || id);
+      for (const { code, detail } of checkAward(award, id)) {
+        report(code, year, file, detail, awardId);
+      }
+
+      if (!seenIds.has(awardId)) seenIds.set(awardId, []);
+      seenIds.get(awardId).push({ year, file });
+    }
+  }
+
+  // Duplicates are reported on every copy after the first
+  for (const [awardId, copies] of seenIds) {
+    if (copies.length < 2) continue;
+    for (const { year, file } of copies.slice(1)) {
+      report("duplicate_id", year, file, `also in ${copies[0].file}`, awardId);
+    }
+  }
+
+  return {
+    years: targetYears,
+    checked,
+    errors: issues.filter((i) => i.severity === "error").length,
+    warnings: issues.filter((i) => i.severity === "warning").length,
+    issues,
+  };
+}